@@ -0,0 +1,492 @@
+import Ember from 'ember';
+
+var RSVP = Ember.RSVP;
+
+var SALT_KEY  = 'EmberFryctoriaSalt';
+var CHECK_KEY = 'EmberFryctoriaKeyCheck';
+var CHECK     = 'ember-fryctoria';
+
+var NAMESPACE_PREFIX = 'EmberFryctoriaNamespace/';
+
+/**
+  Wrap localforage so that values are encrypted at rest with AES-GCM
+  (WebCrypto). It has the same getItem, setItem and removeItem methods as
+  localforage, the local adapters and the collections of syncer use it.
+
+  When encryption is enabled, db is locked until it is unlocked with a
+  CryptoKey or a passphrase, reads and writes are rejected with a
+  LockedError meanwhile. A key derived from a passphrase uses PBKDF2 with a
+  salt saved in localforage. A check value is encrypted with the key, so that
+  a wrong key is rejected when unlocking.
+
+  Encrypted value schema:
+  ```
+  {
+    fryctoriaEncrypted: { Boolean },
+    iv:                 { String }, // base64
+    data:               { String }  // base64 of the encrypted JSON
+  }
+  ```
+
+  NOTE: values saved before encryption was enabled are read as they are, they
+  are encrypted when db is unlocked or its key is rotated.
+
+  With a namespace, e.g. the id of the logged in user, every key is prefixed
+  with it, so that each namespace has its own values, salt and key:
+  ```
+  EmberFryctoriaNamespace/user-1/EmberFryctoriaJobs
+  ```
+  Keys without prefix belong to no namespace.
+
+  @class CryptoDB
+  @extends Ember.Object
+ */
+export default Ember.Object.extend({
+  db:          null,
+  namespace:   null,
+  isEncrypted: false,
+  key:         null,
+  queue:       null,
+  iterations:  100000,
+
+  /**
+   * @property isLocked
+   * @type {Boolean}
+   */
+  isLocked: Ember.computed('isEncrypted', 'key', function() {
+    return this.get('isEncrypted') && !this.get('key');
+  }),
+
+  init: function() {
+    this._super.apply(this, arguments);
+    this.set('queue', RSVP.resolve());
+  },
+
+  getItem: function(name) {
+    return this.currentNamespace().getItem(name);
+  },
+
+  setItem: function(name, value) {
+    return this.currentNamespace().setItem(name, value);
+  },
+
+  removeItem: function(name) {
+    return this.currentNamespace().removeItem(name);
+  },
+
+  /**
+   * @method keys
+   * @return {Promise} names of the values of the namespace
+   */
+  keys: function() {
+    return this.currentNamespace().keys();
+  },
+
+  /**
+   * The values of the current namespace. Reads and writes made through it
+   * stay in this namespace when the namespace is switched before they run,
+   * e.g. writes waiting in a queue. They are rejected with a LockedError
+   * when encrypted, since the key of the namespace is forgotten.
+   *
+   * @method currentNamespace
+   * @return {Object} getItem, setItem, removeItem and keys of the namespace
+   */
+  currentNamespace: function() {
+    var cryptoDB  = this;
+    var db        = this.get('db');
+    var namespace = this.get('namespace');
+
+    return {
+      getItem: function(name) {
+        var dbKey = itemKey(namespace, name);
+
+        if(!cryptoDB.get('isEncrypted')) {
+          return RSVP.resolve(db.getItem(dbKey));
+        }
+
+        return cryptoDB.enqueue(function() {
+          return readItem(cryptoDB, keyOf(cryptoDB, namespace), dbKey);
+        });
+      },
+
+      setItem: function(name, value) {
+        var dbKey = itemKey(namespace, name);
+
+        if(!cryptoDB.get('isEncrypted')) {
+          return RSVP.resolve(db.setItem(dbKey, value));
+        }
+
+        return cryptoDB.enqueue(function() {
+          return writeItem(cryptoDB, keyOf(cryptoDB, namespace), dbKey, value);
+        });
+      },
+
+      removeItem: function(name) {
+        var dbKey = itemKey(namespace, name);
+
+        if(!cryptoDB.get('isEncrypted')) {
+          return RSVP.resolve(db.removeItem(dbKey));
+        }
+
+        // INFO: queued, so that a value removed while the key is rotated is
+        // not written again
+        return cryptoDB.enqueue(function() {
+          return db.removeItem(dbKey);
+        });
+      },
+
+      keys: function() {
+        var prefix = itemKey(namespace, '');
+
+        return RSVP.resolve(db.keys()).then(function(keys) {
+          return keys.filter(function(key) {
+            return isInNamespace(namespace, key);
+          }).map(function(key) {
+            return key.slice(prefix.length);
+          });
+        });
+      }
+    };
+  },
+
+  /**
+   * Use the values of another namespace, null for no namespace. The key of
+   * the previous namespace is forgotten, see currentNamespace for the reads
+   * and writes called before.
+   *
+   * @method switchNamespace
+   * @param {String} namespace
+   */
+  switchNamespace: function(namespace) {
+    this.setProperties({ namespace: namespace || null, key: null });
+  },
+
+  /**
+   * Unlock db with a key, rejected if the key is not the one used to encrypt
+   * the saved values. Values saved before encryption was enabled are
+   * encrypted with it.
+   *
+   * @method unlock
+   * @param {CryptoKey|String} secret an AES-GCM key or a passphrase
+   * @return {Promise}
+   */
+  unlock: function(secret) {
+    var cryptoDB  = this;
+    var namespace = this.get('namespace');
+    var checkKey  = itemKey(namespace, CHECK_KEY);
+
+    return importKey(this, secret, namespace).then(function(key) {
+      return cryptoDB.get('db').getItem(checkKey).then(function(check) {
+        if(!check) {
+          return writeItem(cryptoDB, key, checkKey, CHECK);
+        }
+
+        return decrypt(key, check).then(function(value) {
+          if(value !== CHECK) {
+            return RSVP.reject();
+          }
+        });
+      }).then(function() {
+        if(!isCurrentNamespace(cryptoDB, namespace)) {
+          return RSVP.reject(lockedError('The namespace was switched while unlocking.'));
+        }
+        cryptoDB.set('key', key);
+      }, function() {
+        return RSVP.reject(lockedError('The key can not decrypt the local data.'));
+      });
+
+    }).then(function() {
+      return cryptoDB.enqueue(function() {
+        return encryptPlainItems(cryptoDB, keyOf(cryptoDB, namespace), namespace);
+      });
+    });
+  },
+
+  /**
+   * Forget the key, db is locked until it is unlocked again.
+   *
+   * @method lock
+   */
+  lock: function() {
+    this.set('key', null);
+  },
+
+  /**
+   * Encrypt all the saved values with a new key, with the values saved before
+   * encryption was enabled. A passphrase is derived with a new salt, which is
+   * saved once all the values are encrypted again.
+   *
+   * NOTE: values are written again one at a time, the app should not be
+   * closed while rotating.
+   *
+   * @method rotateKey
+   * @param {CryptoKey|String} secret the new key or passphrase
+   * @return {Promise}
+   */
+  rotateKey: function(secret) {
+    var cryptoDB  = this;
+    var db        = this.get('db');
+    var namespace = this.get('namespace');
+    var oldKey    = this.get('key');
+
+    if(!oldKey) {
+      return RSVP.reject(lockedError('Unlock before rotating the key.'));
+    }
+
+    return this.enqueue(function() {
+      var salt = typeof secret === 'string' ? newSalt() : null;
+      var newKey;
+
+      return importKey(cryptoDB, secret, namespace, salt).then(function(key) {
+        newKey = key;
+        return db.keys();
+
+      }).then(function(names) {
+        return reencryptItems(cryptoDB, oldKey, newKey, names.filter(function(name) {
+          return isValueName(namespace, name);
+        }));
+
+      }).then(function(items) {
+        // INFO: nothing is written until every value is encrypted again, a
+        // value which can not be decrypted leaves the saved values as they are
+        return items.reduce(function(acc, item) {
+          return acc.then(function() {
+            return db.setItem(item.name, item.value);
+          });
+        }, RSVP.resolve());
+
+      }).then(function() {
+        // INFO: the saved values can only be decrypted with the new key from
+        // now on, the salt it was derived with is saved
+        if(salt) {
+          return db.setItem(itemKey(namespace, SALT_KEY), toBase64(salt));
+        }
+
+      }).then(function() {
+        if(isCurrentNamespace(cryptoDB, namespace)) {
+          cryptoDB.set('key', newKey);
+        }
+      });
+    });
+  },
+
+  enqueue: function(operation) {
+    var result = this.get('queue').then(operation);
+
+    // a failed operation should not stop the next ones
+    this.set('queue', result.catch(function() {}));
+
+    return result;
+  },
+});
+
+// the values of names, encrypted again with newKey, plain values are
+// encrypted with it
+function reencryptItems(cryptoDB, oldKey, newKey, names) {
+  var db    = cryptoDB.get('db');
+  var items = [];
+
+  return names.reduce(function(acc, name) {
+    return acc.then(function() {
+      return db.getItem(name);
+    }).then(function(value) {
+      if(value === null || value === undefined) {
+        return;
+      }
+
+      var decrypted = isEncryptedValue(value) ? decrypt(oldKey, value) : value;
+
+      return RSVP.resolve(decrypted).then(function(decrypted) {
+        return encrypt(newKey, decrypted);
+      }).then(function(encrypted) {
+        items.push({ name: name, value: encrypted });
+      });
+    });
+  }, RSVP.resolve()).then(function() {
+    return items;
+  });
+}
+
+// encrypt the values of the namespace saved before encryption was enabled
+function encryptPlainItems(cryptoDB, key, namespace) {
+  var db = cryptoDB.get('db');
+
+  return RSVP.resolve(db.keys()).then(function(names) {
+    return names.filter(function(name) {
+      return isValueName(namespace, name);
+    }).reduce(function(acc, name) {
+      return acc.then(function() {
+        return db.getItem(name);
+      }).then(function(value) {
+        if(value === null || value === undefined || isEncryptedValue(value)) {
+          return;
+        }
+
+        return writeItem(cryptoDB, key, name, value);
+      });
+    }, RSVP.resolve());
+  });
+}
+
+function readItem(cryptoDB, key, name) {
+  return RSVP.resolve(cryptoDB.get('db').getItem(name)).then(function(value) {
+    if(!isEncryptedValue(value)) {
+      return value;
+    }
+
+    if(!key) {
+      return RSVP.reject(lockedError());
+    }
+
+    return decrypt(key, value);
+  });
+}
+
+function writeItem(cryptoDB, key, name, value) {
+  if(!key) {
+    return RSVP.reject(lockedError());
+  }
+
+  return encrypt(key, value).then(function(encrypted) {
+    return cryptoDB.get('db').setItem(name, encrypted);
+  });
+}
+
+function itemKey(namespace, name) {
+  if(!namespace) {
+    return name;
+  }
+
+  // INFO: the namespace is encoded, so that it can not contain the separator
+  return NAMESPACE_PREFIX + encodeURIComponent(namespace) + '/' + name;
+}
+
+function isInNamespace(namespace, key) {
+  if(!namespace) {
+    return key.indexOf(NAMESPACE_PREFIX) !== 0;
+  }
+
+  return key.indexOf(itemKey(namespace, '')) === 0;
+}
+
+// the salt is the only value which is never encrypted
+function isValueName(namespace, key) {
+  return isInNamespace(namespace, key) && key !== itemKey(namespace, SALT_KEY);
+}
+
+function isCurrentNamespace(cryptoDB, namespace) {
+  return (cryptoDB.get('namespace') || null) === (namespace || null);
+}
+
+// the key is only used in the namespace it was given for
+function keyOf(cryptoDB, namespace) {
+  return isCurrentNamespace(cryptoDB, namespace) ? cryptoDB.get('key') : null;
+}
+
+function isEncryptedValue(value) {
+  return !!value && typeof value === 'object' && value.fryctoriaEncrypted === true;
+}
+
+function lockedError(message) {
+  var error = new Error(message || 'The local data is locked, unlock it with its key.');
+  error.name = 'LockedError';
+  return error;
+}
+
+function subtle() {
+  return window.crypto && window.crypto.subtle;
+}
+
+// a CryptoKey is used as is, a passphrase is derived with the given salt, or
+// the saved salt
+function importKey(cryptoDB, secret, namespace, salt) {
+  if(!subtle()) {
+    return RSVP.reject(new Error('WebCrypto is not supported, the local data can not be encrypted.'));
+  }
+
+  if(typeof secret !== 'string') {
+    return RSVP.resolve(secret);
+  }
+
+  return RSVP.resolve(salt || savedSalt(cryptoDB, namespace)).then(function(saltBytes) {
+    return RSVP.resolve(subtle().importKey(
+      'raw', encode(secret), { name: 'PBKDF2' }, false, ['deriveKey']
+    )).then(function(baseKey) {
+      return subtle().deriveKey(
+        { name: 'PBKDF2', salt: saltBytes, iterations: cryptoDB.get('iterations'), hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    });
+  });
+}
+
+// the salt of the namespace, a new one is saved the first time
+function savedSalt(cryptoDB, namespace) {
+  var db      = cryptoDB.get('db');
+  var saltKey = itemKey(namespace, SALT_KEY);
+
+  return RSVP.resolve(db.getItem(saltKey)).then(function(salt) {
+    if(salt) {
+      return fromBase64(salt);
+    }
+
+    var saltBytes = newSalt();
+    return RSVP.resolve(db.setItem(saltKey, toBase64(saltBytes))).then(function() {
+      return saltBytes;
+    });
+  });
+}
+
+function newSalt() {
+  return window.crypto.getRandomValues(new Uint8Array(16));
+}
+
+function encrypt(key, value) {
+  var iv = window.crypto.getRandomValues(new Uint8Array(12));
+
+  return RSVP.resolve(subtle().encrypt(
+    { name: 'AES-GCM', iv: iv }, key, encode(JSON.stringify(value))
+  )).then(function(data) {
+    return {
+      fryctoriaEncrypted: true,
+      iv:                 toBase64(iv),
+      data:               toBase64(new Uint8Array(data))
+    };
+  });
+}
+
+function decrypt(key, value) {
+  return RSVP.resolve(subtle().decrypt(
+    { name: 'AES-GCM', iv: fromBase64(value.iv) }, key, fromBase64(value.data)
+  )).then(function(data) {
+    return JSON.parse(decode(new Uint8Array(data)));
+  });
+}
+
+function encode(string) {
+  return new window.TextEncoder().encode(string);
+}
+
+function decode(bytes) {
+  return new window.TextDecoder().decode(bytes);
+}
+
+function toBase64(bytes) {
+  var binary = '';
+  for(var i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return window.btoa(binary);
+}
+
+function fromBase64(string) {
+  var binary = window.atob(string);
+  var bytes  = new Uint8Array(binary.length);
+  for(var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,232 @@
+import Ember from 'ember';
+
+var RSVP = Ember.RSVP;
+
+/**
+  Save a collection of records in localforage, one key per record. Writes and
+  reads are run one at a time in the order they are called, so that
+  concurrent saves do not overwrite each other.
+
+  Records are saved at `namespace/key`, the collection is made of the keys of
+  localforage with this prefix, so that tabs adding records at the same time
+  never overwrite each other:
+  ```
+  EmberFryctoriaJobs/job-1          -> { id: 'job-1', ... }
+  EmberFryctoriaJobs/job-2          -> { id: 'job-2', ... }
+  ```
+
+  Collections used to be saved as an array of records at the namespace, they
+  are migrated when read.
+
+  db is a CryptoDB, an operation uses the namespace of db when it is called,
+  not when it runs, see CryptoDB#currentNamespace.
+
+  @class KeyedStore
+  @extends Ember.Object
+ */
+export default Ember.Object.extend({
+  db:        null,
+  namespace: null,
+  queue:     null,
+
+  /**
+   * Keys read or written by this tab, replaceAll only removes these.
+   *
+   * @property knownKeys
+   * @type {Array}
+   * @private
+   */
+  knownKeys: null,
+
+  /**
+   * Key of a record in the collection.
+   *
+   * @method keyFor
+   * @param {Object} record
+   * @return {String}
+   */
+  keyFor: function(record) {
+    return record.id;
+  },
+
+  init: function() {
+    this._super.apply(this, arguments);
+    this.set('queue', RSVP.resolve());
+    this.set('knownKeys', []);
+  },
+
+  /**
+   * @method getAll
+   * @return {Promise} records, in no particular order
+   */
+  getAll: function() {
+    var store = this;
+    var db    = currentDB(this);
+
+    return this.enqueue(function() {
+      return readKeys(store, db).then(function(keys) {
+        store.set('knownKeys', keys);
+
+        return RSVP.all(keys.map(function(key) {
+          return db.getItem(recordKey(store, key));
+        }));
+      }).then(function(records) {
+        return records.filter(Boolean);
+      });
+    });
+  },
+
+  /**
+   * NOTE: not named get, which would override Ember.Object#get.
+   *
+   * @method find
+   * @param {String} key
+   * @return {Promise} the record or null
+   */
+  find: function(key) {
+    var store = this;
+    var db    = currentDB(this);
+
+    return this.enqueue(function() {
+      return db.getItem(recordKey(store, key));
+    });
+  },
+
+  /**
+   * Add or update a record.
+   *
+   * @method put
+   * @param {Object} record
+   * @return {Promise}
+   */
+  put: function(record) {
+    var store = this;
+    var db    = currentDB(this);
+    var key   = this.keyFor(record);
+
+    return this.enqueue(function() {
+      return db.setItem(recordKey(store, key), record).then(function() {
+        if(store.get('knownKeys').indexOf(key) === -1) {
+          store.get('knownKeys').push(key);
+        }
+      });
+    });
+  },
+
+  /**
+   * @method remove
+   * @param {String} key
+   * @return {Promise}
+   */
+  remove: function(key) {
+    var store = this;
+    var db    = currentDB(this);
+
+    return this.enqueue(function() {
+      return db.removeItem(recordKey(store, key)).then(function() {
+        store.set('knownKeys', store.get('knownKeys').without(key));
+      });
+    });
+  },
+
+  /**
+   * Replace the records read or written by this tab. Records added by
+   * another tab since they were read are kept.
+   *
+   * @method replaceAll
+   * @param {Array} records
+   * @return {Promise}
+   */
+  replaceAll: function(records) {
+    var store = this;
+    var db    = currentDB(this);
+    var keys  = records.map(this.keyFor, this);
+
+    return this.enqueue(function() {
+      var removedKeys = store.get('knownKeys').filter(function(key) {
+        return keys.indexOf(key) === -1;
+      });
+
+      return RSVP.all(removedKeys.map(function(key) {
+        return db.removeItem(recordKey(store, key));
+      })).then(function() {
+        return RSVP.all(records.map(function(record, index) {
+          return db.setItem(recordKey(store, keys[index]), record);
+        }));
+      }).then(function() {
+        store.set('knownKeys', keys);
+      });
+    });
+  },
+
+  /**
+   * Remove all the records, including the ones added by other tabs.
+   *
+   * @method clear
+   * @return {Promise}
+   */
+  clear: function() {
+    var store = this;
+    var db    = currentDB(this);
+
+    return this.enqueue(function() {
+      return readKeys(store, db).then(function(keys) {
+        return RSVP.all(keys.map(function(key) {
+          return db.removeItem(recordKey(store, key));
+        }));
+      }).then(function() {
+        store.set('knownKeys', []);
+      });
+    });
+  },
+
+  enqueue: function(operation) {
+    var result = this.get('queue').then(operation);
+
+    // a failed operation should not stop the next ones
+    this.set('queue', result.catch(function() {}));
+
+    return result;
+  },
+});
+
+function recordKey(store, key) {
+  return store.get('namespace') + '/' + key;
+}
+
+// the db of the current namespace, operations queued before the namespace
+// is switched stay in their namespace
+function currentDB(store) {
+  return store.get('db').currentNamespace();
+}
+
+function readKeys(store, db) {
+  var prefix = recordKey(store, '');
+
+  return migrateArray(store, db).then(function() {
+    return db.keys();
+  }).then(function(names) {
+    return names.filter(function(name) {
+      return name.indexOf(prefix) === 0;
+    }).map(function(name) {
+      return name.slice(prefix.length);
+    });
+  });
+}
+
+// migrate an array of records saved at the namespace
+function migrateArray(store, db) {
+  var namespace = store.get('namespace');
+
+  return db.getItem(namespace).then(function(records) {
+    if(!records) {
+      return;
+    }
+
+    return RSVP.all(records.map(function(record) {
+      return db.setItem(recordKey(store, store.keyFor(record)), record);
+    })).then(function() {
+      return db.removeItem(namespace);
+    });
+  });
+}
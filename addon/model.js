@@ -1,6 +1,97 @@
+import Ember from 'ember';
 import DS from 'ember-data';
 import decorateAPICall from './stores/main-store/decorate-api-call';
 
 export default DS.Model.extend({
+  /**
+   * Set when the record is read in localforage while offline:
+   * ```
+   * {
+   *   cachedAt: { Date },   // null if the record was not cached from the server
+   *   isStale:  { Boolean } // cached for longer than maxAge of the offline policy
+   * }
+   * ```
+   *
+   * @property fryctoria
+   * @type {Object}
+   */
+  fryctoria: null,
+
+  /**
+   * True if the record is read in localforage while offline.
+   *
+   * @property isFromLocalCache
+   * @type {Boolean}
+   */
+  isFromLocalCache: Ember.computed.bool('fryctoria'),
+
+  /**
+   * Jobs of the record waiting to be synced.
+   *
+   * @property pendingJobs
+   * @type {Array}
+   */
+  pendingJobs: Ember.computed(
+    'id', 'syncer.jobs.[]', 'syncer.remoteIdRecords.@each.remoteId',
+    function() {
+      var syncer = this.get('syncer');
+      var id     = this.get('id');
+
+      if(!syncer || Ember.isNone(id)) {
+        return [];
+      }
+
+      return syncer.jobsFor(this.constructor.typeKey, id);
+    }
+  ),
+
+  /**
+   * True if the record is changed offline and not synced yet.
+   *
+   * @property hasPendingChanges
+   * @type {Boolean}
+   */
+  hasPendingChanges: Ember.computed.notEmpty('pendingJobs'),
+
+  /**
+   * @property isPendingSync
+   * @type {Boolean}
+   */
+  isPendingSync: Ember.computed.alias('hasPendingChanges'),
+
+  /**
+   * What syncing the record will do on the server: deleteRecord if it was
+   * deleted offline, createRecord if it was created offline, otherwise
+   * updateRecord. Null if there is no pending job.
+   *
+   * @property pendingOperation
+   * @type {String}
+   */
+  pendingOperation: Ember.computed('pendingJobs', function() {
+    var jobs    = this.get('pendingJobs');
+    var lastJob = jobs[jobs.length - 1];
+
+    if(!lastJob) {
+      return null;
+    }
+
+    if(lastJob.operation !== 'deleteRecord' && jobs.isAny('operation', 'createRecord')) {
+      return 'createRecord';
+    }
+
+    return lastJob.operation;
+  }),
+
+  /**
+   * Discard the changes which are not synced yet, see
+   * Syncer#discardJobsFor.
+   *
+   * @method discardPendingChanges
+   * @return {Promise}
+   */
+  discardPendingChanges: function() {
+    return this.get('syncer').discardJobsFor(this.constructor.typeKey, this.get('id'));
+  },
+
   save: decorateAPICall('single')
 });
@@ -1,9 +1,105 @@
+import Ember        from 'ember';
 import DS           from 'ember-data';
 import LFAdapter    from 'ember-localforage-adapter/adapters/localforage';
 import LFSerializer from 'ember-localforage-adapter/serializers/localforage';
 import generateUniqueId from '../utils/generate-unique-id';
+import getConfig        from '../utils/get-config';
+import CryptoDB         from '../crypto-db';
 
 /**
+ * Records embedded by localforage adapter are pushed into the store as they
+ * are saved, normalize them first so that transforms of the application, e.g.
+ * app/transforms/money.js, are applied to them like to the main record.
+ *
+ * @class LocalSerializer
+ * @extends LFSerializer
+ */
+var LocalSerializer = LFSerializer.extend({
+  extractSingle: function(store, type, payload) {
+    var embedded = payload && payload._embedded;
+
+    if(embedded) {
+      Object.keys(embedded).forEach(function(relation) {
+        var relationType = type.typeForRelationship(relation);
+
+        if(Ember.isArray(embedded[relation])) {
+          embedded[relation] = embedded[relation].map(function(hash) {
+            return this.normalize(relationType, hash);
+          }, this);
+        } else if(embedded[relation]) {
+          embedded[relation] = this.normalize(relationType, embedded[relation]);
+        }
+      }, this);
+    }
+
+    return this._super(store, type, payload);
+  }
+});
+
+/**
+ * Records are read and written through db instead of localforage, so that
+ * they can be encrypted, see CryptoDB.
+ *
+ * NOTE: loadData and persistData override the methods of LFAdapter which
+ * talk to localforage.
+ *
+ * Writes may wait in the queue of LFAdapter, `writes` is settled once the
+ * writes called so far are finished, so that the namespace of db is only
+ * switched after them, see Syncer#switchNamespace.
+ *
+ * @class LocalAdapter
+ * @extends LFAdapter
+ */
+var LocalAdapter = LFAdapter.extend({
+  db:                  null,
+  writes:              null,
+  generateIdForRecord: generateUniqueId,
+  clear:               clearLFAdapter,
+
+  init: function() {
+    this._super.apply(this, arguments);
+    this.set('writes', Ember.RSVP.resolve());
+  },
+
+  createRecord: function() {
+    return trackWrite(this, this._super.apply(this, arguments));
+  },
+
+  updateRecord: function() {
+    return trackWrite(this, this._super.apply(this, arguments));
+  },
+
+  deleteRecord: function() {
+    return trackWrite(this, this._super.apply(this, arguments));
+  },
+
+  loadData: function() {
+    return loadStorage(this, this.get('db').currentNamespace());
+  },
+
+  // INFO: the storage is read and written in the namespace of db when it is
+  // called
+  persistData: function(type, data) {
+    var adapter        = this;
+    var db             = this.get('db').currentNamespace();
+    var modelNamespace = this.modelNamespace(type);
+
+    return loadStorage(this, db).then(function(storage) {
+      storage[modelNamespace] = data;
+      return db.setItem(adapter.adapterNamespace(), storage);
+    });
+  }
+});
+
+/**
+ * Records are saved twice in localforage:
+ *
+ * - adapter:     the working copy, it is changed offline
+ * - baseAdapter: the base copy, as last confirmed by the server
+ *
+ * Both are saved through db, which is shared with syncer. It encrypts them
+ * when `encryption` is true in the config, and keeps them apart for each
+ * namespace, see Syncer#switchNamespace.
  *
  * @class FryctoriaLocalStore
  * @extends DS.Store
@@ -13,16 +109,29 @@ export default DS.Store.extend({
     var container  = this.get('container');
     var store      = this;
 
-    var serializer = LFSerializer.create({ container: container, store: store });
-    var adapter    = LFAdapter
-      .extend({generateIdForRecord: generateUniqueId})
-      .create({
-        container: container,
-        serializer: serializer,
-        clear: clearLFAdapter
-      });
+    var config     = getConfig(container);
+    var db         = CryptoDB.create({
+      db:          window.localforage,
+      namespace:   config.namespace || null,
+      isEncrypted: !!config.encryption
+    });
+
+    var serializer = LocalSerializer.create({ container: container, store: store });
+    var adapter    = LocalAdapter.create({
+      container:  container,
+      serializer: serializer,
+      db:         db
+    });
+    var baseAdapter = LocalAdapter.create({
+      container:  container,
+      serializer: serializer,
+      db:         db,
+      namespace:  'EmberFryctoriaBase'
+    });
 
-    this.set('adapter', adapter);
+    this.set('db',          db);
+    this.set('adapter',     adapter);
+    this.set('baseAdapter', baseAdapter);
 
     this._super.apply(this, arguments);
   },
@@ -42,6 +151,17 @@ export default DS.Store.extend({
   },
 });
 
+function loadStorage(adapter, db) {
+  return db.getItem(adapter.adapterNamespace()).then(function(storage) {
+    return storage || {};
+  });
+}
+
+function trackWrite(adapter, write) {
+  adapter.set('writes', Ember.RSVP.allSettled([adapter.get('writes'), write]));
+  return write;
+}
+
 function clearLFAdapter() {
   // clear cache
   var cache = this.get('cache');
@@ -50,5 +170,5 @@ function clearLFAdapter() {
   }
 
   // clear data in localforage
-  return window.localforage.setItem('DS.LFAdapter', []);
+  return this.get('db').setItem(this.adapterNamespace(), {});
 }
@@ -1,3 +1,4 @@
+import Ember from 'ember';
 import DS    from 'ember-data';
 import decorateAdapter    from './main-store/decorate-adapter';
 import decorateSerializer from './main-store/decorate-serializer';
@@ -6,10 +7,14 @@ import decorateAPICall    from './main-store/decorate-api-call';
 /**
  * This will be used as store:main
  *
+ * It triggers `localFallback (typeName, methodName)` when the adapter uses
+ * localforage because the server can not be reached.
+ *
  * @class FryctoriaMainStore
  * @extends DS.Store
+ * @uses Ember.Evented
  */
-export default DS.Store.extend({
+export default DS.Store.extend(Ember.Evented, {
   /**
     This method returns a fresh collection from the server, regardless of if there is already records
     in the store or not.
@@ -60,6 +65,69 @@ export default DS.Store.extend({
   */
   reloadRecord: decorateAPICall('single'),
 
+  /**
+    This method is called by #find with a query. The ids of the records found
+    online are saved, so that the same query finds the same records offline.
+    @method findQuery
+    @param {String or subclass of DS.Model} type
+    @param {any} query an opaque query to be used by the adapter
+    @return {Promise} promise
+  */
+  findQuery: decorateAPICall('query'),
+
+  /**
+   * Collect pushed records when a collector is active.
+   *
+   * Records read in localforage get their cache info in record.fryctoria,
+   * it is cleared when the record is pushed from the server.
+   *
+   * @method push
+   * @private
+   */
+  push: function(typeName, data) {
+    var cacheInfo  = this.get('syncer').takeCacheInfo(this.modelFor(typeName), data);
+    var record     = this._super.apply(this, arguments);
+    var collectors = this.get('pushedRecordsCollectors');
+
+    if(cacheInfo || record.get('fryctoria')) {
+      record.set('fryctoria', cacheInfo || null);
+    }
+
+    if(collectors && collectors.length) {
+      collectors[collectors.length - 1].push(record);
+    }
+
+    return record;
+  },
+
+  /**
+   * Collect records pushed into the store while running a function, e.g.
+   * sideloaded and embedded records pushed by a serializer while extracting
+   * a payload.
+   *
+   * @method collectPushedRecords
+   * @private
+   * @param {Function} fn
+   * @param {Array} records pushed records are added to this array
+   * @return {any} result of fn
+   */
+  collectPushedRecords: function(fn, records) {
+    var collectors = this.get('pushedRecordsCollectors');
+
+    if(!collectors) {
+      collectors = [];
+      this.set('pushedRecordsCollectors', collectors);
+    }
+
+    collectors.push(records);
+
+    try {
+      return fn();
+    } finally {
+      collectors.pop();
+    }
+  },
+
   adapterFor: function(type) {
     var adapter = this._super(type);
     return decorateAdapter(adapter, this.container);
@@ -1,6 +1,9 @@
+import Ember            from 'ember';
 import backup           from '../../utils/backup';
 import isObject         from '../../utils/is-object';
-import generateUniqueId from '../../utils/generate-unique-id';
+import offlineError     from '../../utils/offline-error';
+
+var RSVP = Ember.RSVP;
 
 /*
  * Extend adapter so that we can use local adapter when offline
@@ -30,17 +33,58 @@ export default function decorateAdapter(adapter, container) {
     decorateAdapterMethod(adapter, localAdapter, methodName);
   });
 
+  decorateAjaxOptions(adapter, container);
+
   return adapter;
 }
 
+// send the idempotency key of the job which is synced, see Syncer#runJob
+function decorateAjaxOptions(adapter, container) {
+  var originAjaxOptions = adapter.ajaxOptions;
+
+  if(typeof originAjaxOptions !== 'function') {
+    return;
+  }
+
+  adapter.ajaxOptions = function() {
+    var hash = originAjaxOptions.apply(adapter, arguments);
+    var key  = adapter.get('fryctoria').idempotencyKey;
+
+    if(key) {
+      var header = container.lookup('syncer:main').get('idempotencyHeader');
+
+      hash.headers = Ember.merge({}, hash.headers);
+      hash.headers[header] = key;
+    }
+
+    return hash;
+  };
+}
+
 function decorateAdapterMethod(adapter, localAdapter, methodName) {
   var originMethod = adapter[methodName];
   var backupMethod = createBackupMethod(localAdapter, methodName);
-  var isOffline    = adapter.container.lookup('syncer:main').isOffline;
+  var syncer       = adapter.container.lookup('syncer:main');
+
+  // keep syncer.isOnline up to date with every request to the server
+  var isOffline = function(error) {
+    var offline = syncer.isOffline(error);
+    if(offline) {
+      syncer.set('isOnline', false);
+    }
+    return offline;
+  };
 
   adapter[methodName] = function() {
-    return originMethod.apply(adapter, arguments)
-      .catch(backup(isOffline, backupMethod, arguments));
+    var args = arguments;
+
+    return originMethod.apply(adapter, args)
+      .then(function(payload) {
+        syncer.set('isOnline', true);
+        flagRecordArray(methodName, args, false);
+        return payload;
+      })
+      .catch(backup(isOffline, backupMethod, args));
   };
 
   adapter.fryctoria[methodName] = originMethod;
@@ -53,17 +97,26 @@ function createBackupMethod(localAdapter, methodName) {
   var isCreate    = methodName === 'createRecord';
 
   return function backupMethod() {
-    var args = Array.prototype.slice.call(arguments);
+    var args      = Array.prototype.slice.call(arguments);
+    var syncer    = container.lookup('syncer:main');
+    var type      = args[1];
+    var operation = isCRUD ? methodName : 'read';
+
+    var creatingJob = RSVP.resolve();
+
+    if(!syncer.allowsOffline(type, operation)) {
+      return RSVP.reject(offlineError(operation, type.typeKey));
+    }
 
     // ---------- CRUD specific
     if(isCRUD) {
       var snapshot = args[2];
 
       if(isCreate) {
-        snapshot = addIdToSnapshot(snapshot);
+        snapshot = addIdToSnapshot(container, snapshot);
       }
 
-      createJobInSyncer(container, methodName, snapshot);
+      creatingJob = createJobInSyncer(container, methodName, snapshot);
 
       // decorate snapshot for serializer#serialize, this should be after
       // createJob in syncer
@@ -72,25 +125,78 @@ function createBackupMethod(localAdapter, methodName) {
     }
     // ---------- CRUD specific END
 
-    return localAdapter[methodName].apply(localAdapter, args)
+    // INFO: the record is not saved offline if its job can not be saved,
+    // e.g. when the storage quota is exceeded
+    var result = creatingJob.then(function() {
+      if(methodName === 'findQuery') {
+        // INFO: findQuery uses the ids found by the same query online
+        return findQueryInLocal(container, type, args[2]);
+      } else if(isCRUD && !syncer.policyFor(type).cache) {
+        // INFO: records of this model are never saved into localforage
+        return null;
+      } else {
+        return localAdapter[methodName].apply(localAdapter, args);
+      }
+    });
+
+    // INFO: the namespace is switched once the offline save is finished
+    if(isCRUD) {
+      syncer.trackWrite(result);
+    }
+
+    return result
+      .then(function(payload) {
+        return isCRUD ? payload : syncer.readCachedPayload(type, payload);
+      })
       .then(function(payload) {
         // decorate payload for serializer#extract
         if(isObject(payload)) {
           payload.fryctoria = true;
         }
+
+        flagRecordArray(methodName, args, true);
+        container.lookup('store:main').trigger('localFallback', type.typeKey, methodName);
         return payload;
       });
   };
 }
 
-// Add an id to record before create in local
-function addIdToSnapshot(snapshot) {
+// the array of records found by findAll or findQuery tells whether it was
+// read in localforage, findQuery is given its array
+function flagRecordArray(methodName, args, isFromLocalCache) {
+  var store = args[0];
+  var recordArray;
+
+  if(methodName === 'findAll') {
+    recordArray = store.all(args[1]);
+  } else if(methodName === 'findQuery') {
+    recordArray = args[3];
+  }
+
+  if(recordArray) {
+    recordArray.set('isFromLocalCache', isFromLocalCache);
+  }
+}
+
+// Add an id to record before create in local, keep the id generated by the
+// application if any
+function addIdToSnapshot(container, snapshot) {
   var record = snapshot.record;
-  record.get('store').updateId(record, {id: generateUniqueId()});
+
+  if(Ember.isNone(record.get('id'))) {
+    var id = container.lookup('syncer:main').generateId(snapshot.type);
+    record.get('store').updateId(record, {id: id});
+  }
+
   return record._createSnapshot();
 }
 
+function findQueryInLocal(container, type, query) {
+  var syncer = container.lookup('syncer:main');
+  return syncer.findQueryInLocal(type, query);
+}
+
 function createJobInSyncer(container, methodName, snapshot) {
   var syncer = container.lookup('syncer:main');
-  syncer.createJob(methodName, snapshot);
+  return syncer.createJob(methodName, snapshot);
 }
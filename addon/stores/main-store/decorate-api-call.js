@@ -3,7 +3,7 @@ import Ember from 'ember';
 /*
  * syncUp   before finder
  * syncDown after  finder
- * @param {String} finderType {'single'|'multiple'|'all'}
+ * @param {String} finderType {'single'|'multiple'|'all'|'query'}
  */
 export default function decorateAPICall(finderType) {
   return function apiCall() {
@@ -34,19 +34,46 @@ export default function decorateAPICall(finderType) {
     function syncDown(result) {
       if(finderType === 'all') {
         var typeName = result.get('type.typeKey');
-        syncer.syncDown(typeName);
+        saveLocal(typeName);
 
       } else if(finderType === 'single'){
-        syncer.syncDown(result);
+        saveLocal(result);
 
       } else if(finderType === 'multiple'){
-        syncer.syncDown(result);
+        saveLocal(result);
+
+      } else if(finderType === 'query'){
+        saveLocal(result);
+
+        // INFO: only the ids found by the server are cached, the adapter flags
+        // the records found in localforage
+        //
+        // NOTE: caching is best effort, the query is found even when its ids
+        // can not be saved, e.g. the storage quota is exceeded or it is locked
+        if(!result.get('isFromLocalCache')) {
+          syncer.cacheQuery(result.get('type'), result.get('query'), result.mapBy('id'))
+            .catch(function(error) {
+              Ember.Logger.warn('Can not cache the query of ' + result.get('type.typeKey'), error);
+            });
+        }
 
       } else {
-        throw new Error('finderType must be one of single, multiple or all, but got ' + finderType);
+        throw new Error('finderType must be one of single, multiple, all or query, but got ' + finderType);
       }
 
       return result;
     }
+
+    // INFO: the records found are cached in the background, nothing can be
+    // cached while localforage is locked
+    function saveLocal(descriptor) {
+      if(syncer.get('isLocked')) {
+        return;
+      }
+
+      syncer.syncDown(descriptor).catch(function(error) {
+        Ember.Logger.warn('Can not cache the records found', error);
+      });
+    }
   };
 }
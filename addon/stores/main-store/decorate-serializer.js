@@ -1,3 +1,4 @@
+import Ember from 'ember';
 import isObject from '../../utils/is-object';
 
 /*
@@ -13,6 +14,9 @@ export default function decorateSerializer(serializer, container) {
 
   var localSerializer = container.lookup('store:local').get('adapter.serializer');
 
+  // save sideloaded and embedded records into localforage
+  serializer.extract = decorateExtract(serializer, container);
+
   // serialize()
   // extract()
   // normalize() is not used in localforage adapter, so we do not decorate
@@ -43,3 +47,35 @@ function decorateSerializerMethod(serializer, localSerializer, methodName, wrapp
     }
   };
 }
+
+/*
+ * Records pushed into the store while extracting a payload from the server
+ * are sideloaded or embedded records, save them into localforage.
+ */
+function decorateExtract(serializer, container) {
+  var originExtract = serializer.extract;
+
+  return function extract(store) {
+    var args    = arguments;
+    var records = [];
+
+    if(!store.collectPushedRecords) {
+      return originExtract.apply(serializer, args);
+    }
+
+    var result = store.collectPushedRecords(function() {
+      return originExtract.apply(serializer, args);
+    }, records);
+
+    var syncer = container.lookup('syncer:main');
+
+    // INFO: nothing can be cached while localforage is locked
+    if(records.length && !syncer.get('isLocked')) {
+      syncer.syncDown(records).catch(function(error) {
+        Ember.Logger.warn('Can not cache the sideloaded records', error);
+      });
+    }
+
+    return result;
+  };
+}
@@ -2,9 +2,37 @@ import Ember from 'ember';
 import generateUniqueId           from './utils/generate-unique-id';
 import reloadLocalRecords         from './utils/reload-local-records';
 import isModelInstance            from './utils/is-model-instance';
+import isObject                   from './utils/is-object';
+import compactJobs                from './utils/compact-jobs';
+import getConfig                  from './utils/get-config';
+import modelOption                from './utils/model-option';
+import changedAttributes          from './utils/changed-attributes';
+import resolveConflict            from './utils/resolve-conflict';
+import isEmbedded                 from './utils/is-embedded';
+import referencesId               from './utils/references-id';
+import generateUUID               from './utils/generate-uuid';
+import TabCoordinator             from './tab-coordinator';
+import KeyedStore                 from './keyed-store';
+import normalizeQuery             from './utils/normalize-query';
+import hashString                 from './utils/hash-string';
+import evaluateQuery              from './utils/evaluate-query';
+import offlinePolicy              from './utils/offline-policy';
+import offlineError               from './utils/offline-error';
+import prioritizeJobs             from './utils/prioritize-jobs';
+import changedRelationships       from './utils/changed-relationships';
+import partialHash                from './utils/partial-hash';
+import isQuotaError               from './utils/is-quota-error';
+import storageFullError           from './utils/storage-full-error';
+import isDependency               from './utils/is-dependency';
 
 var RSVP = Ember.RSVP;
 
+// key of the cache time in records read in localforage
+var CACHED_AT_KEY = 'fryctoriaCachedAt';
+
+// share of the evictable records evicted when the storage quota is exceeded
+var QUOTA_EVICTION_RATIO = 0.25;
+
 /**
   We save offline jobs to localforage and run them one at a time when online
 
@@ -14,36 +42,271 @@ var RSVP = Ember.RSVP;
     id:        { String },
     operation: { 'createRecord'|'updateRecord'|'deleteRecord' },
     typeName:  { String },
-    record:    { Object },
+    record:    { Object }, // embedded records are serialized in it
+    seq:       { Number }, // order of the jobs
     createdAt: { Date },
+    tabId:     { String }, // tab which created the job, orders the jobs
+                           // given the same seq by two tabs
+    namespace: { String }, // namespace of syncer when the job was created
+
+    // sent in the idempotencyHeader, the same key is sent when the job is
+    // sent again
+    idempotencyKey: { String },
+    isSent:         { Boolean }, // set when the job failed while online, it
+                                 // may have reached the server
+
+    // only for the first updateRecord or deleteRecord of a record
+    base:        { Object }, // record before it was changed offline
+
+    // only for updateRecord
+    changedKeys: { Array },  // attributes and relationships changed offline
+    version:     { String }, // value of versionAttribute of the model
+
+    // set when the job fails with an error which does not mean offline
+    attempts:      { Number },
+    lastError:     { Object },
+    nextAttemptAt: { Date },
+  }
+  ```
+
+  Jobs which fail too many times are moved to a dead-letter list: deadJobs.
+  They have the same schema as jobs, the jobs which depend on a dead job are
+  moved with it and get a blockedBy key: the id of the dead job.
+
+  Jobs, deadJobs and remoteIdRecords are saved with one key per record, see
+  KeyedStore.
+
+  We save the ids of the records found by each query on the server, they are
+  used to answer the same query offline. A query is saved at a hash of it,
+  since the keys of localforage are not encrypted.
+
+  Query schema:
+  ```
+  {
+    typeName: { String },
+    query:    { String }, // normalized query
+    ids:      { Array },
+    cachedAt: { Date }
+  }
+  ```
+
+  Records are saved twice in localforage, see FryctoriaLocalStore: the
+  working copy is changed offline, the base copy is the record as last
+  confirmed by the server. syncDown only updates the base copy of records
+  without pending jobs.
+
+  We save when each record was cached from the server. Records cached for
+  longer than the ttl of their offline policy are evicted, records cached for
+  longer than its maxAge are stale.
+
+  We also save when each record was last read, so that the least recently
+  used records are evicted when there are more than maxRecords of the model
+  or maxCachedRecords in all, or when the storage quota is exceeded. Records
+  referenced by pending jobs are never evicted.
+
+  CacheMeta schema:
+  ```
+  {
+    typeName:   { String },
+    id:         { String },
+    cachedAt:   { Date },
+    accessedAt: { Date }
   }
   ```
 
-  We save remoteIdRecords to localforage. They are used to lookup remoteIds
-  from localIds.
+  When jobs, deadJobs or remoteIdRecords can not be saved because the
+  storage quota is exceeded even after evicting records, the write is
+  rejected with a StorageFullError and syncer triggers storageFull(error).
+
+  Syncer exposes its status in observable properties: isSyncing,
+  pendingJobCount, lastSyncedAt, lastError and isOnline. It triggers these
+  events while syncing up:
+  ```
+  syncStarted
+  jobSucceeded  (job)
+  jobFailed     (job, error)
+  syncCompleted
+  ```
+
+  We save remoteIdRecords to localforage, this is the id map of records
+  created offline. A remoteIdRecord is created with the local id of a record,
+  the remote id is set when the record is created on the server. It is removed
+  once no job references its local id any more.
 
   RecordId schema:
   ```
   {
     typeName: { String },
     localId:  { String },
-    remoteId: { String }
+    remoteId: { String } // null until the record is synced
   }
  ```
 
+  Models with the clientId option get UUIDs which are sent to the server as
+  is, they are not in the id map.
+
+  localforage is used through db, which encrypts the data when encryption is
+  enabled, see CryptoDB. Syncer does not sync while db is locked.
+
+  The data of each namespace, e.g. each user, is kept apart in localforage.
+  Jobs are only run in the namespace they were created in.
+
+  Only one tab syncs up at a time, see TabCoordinator. The other tabs reload
+  jobs, deadJobs and remoteIdRecords when they change, and refresh the records
+  of their store when a job succeeds.
+
  @class Syncer
  @extends Ember.Object
+ @uses Ember.Evented
  */
-export default Ember.Object.extend({
+export default Ember.Object.extend(Ember.Evented, {
   db: null,
-  // initialize jobs since jobs may be used before we fetch from localforage
-  jobs: [],
-  remoteIdRecords: [],
+  collections: null,
+  tabCoordinator: null,
+  idWrites: null,
+  writes: null,
+  jobs: null,
+  deadJobs: null,
+  remoteIdRecords: null,
+
+  /**
+   * Sequence number of the last job created, jobs are synced in this order.
+   *
+   * @property lastSeq
+   * @type {Number}
+   */
+  lastSeq: 0,
+
+  /**
+   * @property isSyncing
+   * @type {Boolean}
+   */
+  isSyncing: Ember.computed.bool('syncPromise'),
+
+  /**
+   * @property pendingJobCount
+   * @type {Number}
+   */
+  pendingJobCount: Ember.computed.reads('jobs.length'),
+
+  /**
+   * Time of the last syncUp which ran all the jobs.
+   *
+   * @property lastSyncedAt
+   * @type {Date}
+   */
+  lastSyncedAt: null,
+
+  /**
+   * Error of the last failed job, cleared when a syncUp runs all the jobs.
+   *
+   * @property lastError
+   * @type {Object}
+   */
+  lastError: null,
+
+  /**
+   * Updated by online and offline events of the browser and by the result of
+   * every request to the server.
+   *
+   * @property isOnline
+   * @type {Boolean}
+   */
+  isOnline: true,
+
+  /**
+   * A job is moved to deadJobs after failing this many times.
+   *
+   * @property maxAttempts
+   * @type {Number}
+   */
+  maxAttempts: 5,
+
+  /**
+   * Records cached from the server at most, for all the models. The least
+   * recently used are evicted, null for no limit.
+   *
+   * @property maxCachedRecords
+   * @type {Number}
+   */
+  maxCachedRecords: null,
+
+  /**
+   * The promise of the scheduled enforceBudget.
+   *
+   * @property budgetPromise
+   * @type {Promise}
+   * @private
+   */
+  budgetPromise: null,
+
+  /**
+   * Set when records are cached while the budget is enforced, it is enforced
+   * once more then.
+   *
+   * @property isBudgetDue
+   * @type {Boolean}
+   * @private
+   */
+  isBudgetDue: false,
+
+  /**
+   * The cacheMetas by key, read in localforage once, see cacheMetaIndex.
+   *
+   * @property cacheMetas
+   * @type {Promise}
+   * @private
+   */
+  cacheMetas: null,
+
+  /**
+   * Header of the idempotency key of a job, in every request sending it.
+   *
+   * @property idempotencyHeader
+   * @type {String}
+   */
+  idempotencyHeader: 'Idempotency-Key',
+
+  /**
+   * Max number of jobs sent in one request when the adapter supports batch.
+   *
+   * @property maxBatchSize
+   * @type {Number}
+   */
+  maxBatchSize: 100,
+
+  /**
+   * Delay in milliseconds before retrying a job after its first failure,
+   * doubled after each failure.
+   *
+   * @property retryDelay
+   * @type {Number}
+   */
+  retryDelay: 1000,
+
+  /**
+   * Maximum delay in milliseconds before retrying a failed job.
+   *
+   * @property maxRetryDelay
+   * @type {Number}
+   */
+  maxRetryDelay: 5 * 60 * 1000,
+
+  /**
+   * The promise of the running syncUp, null when syncer is not syncing.
+   *
+   * @property syncPromise
+   * @type {Promise}
+   * @private
+   */
+  syncPromise: null,
 
   /**
    * Initialize db.
    *
-   * Initialize jobs, remoteIdRecords.
+   * Initialize jobs, deadJobs, remoteIdRecords.
+   *
+   * Read options from ENV['ember-fryctoria'] and start auto sync.
    *
    * @method init
    * @private
@@ -51,18 +314,210 @@ export default Ember.Object.extend({
   init: function() {
     var syncer = this;
 
-    var localStore   = syncer.get('container').lookup('store:local');
+    var container    = syncer.get('container');
+    var config       = getConfig(container);
+    var localStore   = container.lookup('store:local');
     var localAdapter = localStore.get('adapter');
 
-    syncer.set('db',           window.localforage);
+    var options = [
+      'maxAttempts', 'retryDelay', 'maxRetryDelay', 'maxBatchSize', 'idempotencyHeader',
+      'maxCachedRecords'
+    ];
+
+    options.forEach(function(key) {
+      if(config[key] !== undefined) {
+        syncer.set(key, config[key]);
+      }
+    });
+
+    // initialize jobs since jobs may be used before we fetch from localforage
+    syncer.set('jobs',            []);
+    syncer.set('deadJobs',        []);
+    syncer.set('remoteIdRecords', []);
+    syncer.set('idWrites',        []);
+    syncer.set('writes',          RSVP.resolve());
+
+    syncer.set('isOnline', window.navigator.onLine !== false);
+    Ember.$(window).on(statusNamespace(syncer), function(event) {
+      Ember.run(syncer, 'set', 'isOnline', event.type === 'online');
+    });
+
+    syncer.set('db',           localStore.get('db'));
     syncer.set('localStore',   localStore);
     syncer.set('localAdapter', localAdapter);
+    syncer.set('baseAdapter',  localStore.get('baseAdapter'));
+
+    syncer.set('collections', {
+      job:            createCollection(syncer, 'job'),
+      deadJob:        createCollection(syncer, 'deadJob'),
+      remoteIdRecord: createCollection(syncer, 'remoteIdRecord', remoteIdRecordKey),
+      query:          createCollection(syncer, 'query', queryRecordKey),
+      cacheMeta:      createCollection(syncer, 'cacheMeta', cacheMetaKey)
+    });
+
+    syncer.set('tabCoordinator', TabCoordinator.create());
+    syncer.get('tabCoordinator').on('message', syncer, 'receiveTabMessage');
+
+    // INFO: encrypted data is loaded once unlocked
+    if(!syncer.get('isLocked')) {
+      syncer.load().catch(function(error) {
+        Ember.Logger.warn('Can not load the local data', error);
+      });
+    }
+
+    if(config.autoSync) {
+      syncer.startAutoSync(config.autoSync);
+    }
+  },
+
+  /**
+   * Stop auto sync.
+   *
+   * @method willDestroy
+   * @private
+   */
+  willDestroy: function() {
+    this.stopAutoSync();
+    Ember.$(window).off(statusNamespace(this));
+    this.get('tabCoordinator').destroy();
+    this._super.apply(this, arguments);
+  },
+
+  /**
+   * Read the data of syncer from localforage, migrate it and evict expired
+   * records.
+   *
+   * @method load
+   * @private
+   * @return {Promise}
+   */
+  load: function() {
+    return this.reload()
+      .then(migrateLocalIds.bind(null, this))
+      .then(this.evictExpired.bind(this));
+  },
+
+  /**
+   * True when the local data is encrypted and no key is given yet, reads and
+   * writes of localforage are rejected with a LockedError.
+   *
+   * @property isLocked
+   * @type {Boolean}
+   */
+  isLocked: Ember.computed.reads('db.isLocked'),
+
+  /**
+   * Namespace of the local data, null when it is shared by all users.
+   *
+   * @property namespace
+   * @type {String}
+   */
+  namespace: Ember.computed.reads('db.namespace'),
+
+  /**
+   * Use the local data of another namespace, e.g. the id of the user who
+   * logs in, or null when the user logs out. The data of the previous
+   * namespace stays in localforage but is not read any more. When encryption
+   * is enabled, the new namespace is locked until it is unlocked.
+   *
+   * The namespace is switched once the writes called before are finished,
+   * so that they are saved in the previous namespace, with its key. The
+   * records of the store are unloaded then, their changes which are not
+   * saved are lost.
+   *
+   * @method switchNamespace
+   * @public
+   * @param {String} namespace
+   * @return {Promise} rejected while syncing
+   */
+  switchNamespace: function(namespace) {
+    var syncer = this;
+
+    if(this.get('syncPromise')) {
+      return RSVP.reject(new Error('Can not switch the namespace while syncing.'));
+    }
+
+    return pendingWrites(this).then(function() {
+      if(syncer.get('syncPromise')) {
+        return RSVP.reject(new Error('Can not switch the namespace while syncing.'));
+      }
+
+      unloadStoreRecords(syncer);
+      syncer.get('db').switchNamespace(namespace);
+      forgetLocalData(syncer);
+      syncer.setProperties({ lastSeq: 0, lastSyncedAt: null, lastError: null });
+
+      // INFO: encrypted data is loaded once unlocked
+      if(syncer.get('isLocked')) {
+        return;
+      }
+
+      return syncer.load();
+    });
+  },
+
+  /**
+   * Track a write of the local data, e.g. an offline save, the namespace is
+   * only switched once it is finished.
+   *
+   * @method trackWrite
+   * @private
+   * @param {Promise} write
+   * @return {Promise} write
+   */
+  trackWrite: function(write) {
+    this.set('writes', RSVP.allSettled([this.get('writes'), write]));
+    return write;
+  },
+
+  /**
+   * Unlock the encrypted local data and load it.
+   *
+   * @method unlock
+   * @public
+   * @param {CryptoKey|String} secret an AES-GCM key or a passphrase
+   * @return {Promise} rejected if the key can not decrypt the local data
+   */
+  unlock: function(secret) {
+    return this.get('db').unlock(secret).then(this.load.bind(this));
+  },
+
+  /**
+   * Forget the key of the local data, and the data read with it.
+   *
+   * @method lock
+   * @public
+   */
+  lock: function() {
+    this.get('db').lock();
+    forgetLocalData(this);
+  },
+
+  /**
+   * Encrypt the local data with a new key.
+   *
+   * @method rotateKey
+   * @public
+   * @param {CryptoKey|String} secret the new key or passphrase
+   * @return {Promise}
+   */
+  rotateKey: function(secret) {
+    return this.get('db').rotateKey(secret);
+  },
 
+  /**
+   * Read jobs, deadJobs and remoteIdRecords from localforage, they may have
+   * been changed by another tab.
+   *
+   * @method reload
+   * @return {Promise}
+   */
+  reload: function() {
     // NOTE: get remoteIdRecords first then get jobs,
     // since jobs depend on remoteIdRecords
-    syncer.getAll('remoteIdRecord').then(
-      syncer.getAll.bind(syncer, 'job')
-    );
+    return this.getAll('remoteIdRecord')
+      .then(this.getAll.bind(this, 'job'))
+      .then(this.getAll.bind(this, 'deadJob'));
   },
 
   /**
@@ -76,15 +531,77 @@ export default Ember.Object.extend({
    */
   createJob: function(operation, snapshot) {
     var typeName = snapshot.typeKey;
+
+    if(!this.allowsOffline(snapshot.type, operation)) {
+      return RSVP.reject(offlineError(operation, typeName));
+    }
+
     var serializer = this.get('mainStore').serializerFor(typeName);
     snapshot.fryctoria = true;
 
-    return this.create('job', {
+    var job = {
       id:        generateUniqueId('job'),
       operation: operation,
       typeName:  typeName,
       record:    serializer.serialize(snapshot, {includeId: true}),
+      seq:       this.incrementProperty('lastSeq'),
       createdAt: (new Date()).getTime(),
+      tabId:     this.get('tabCoordinator.tabId'),
+      namespace: this.get('namespace'),
+
+      idempotencyKey: generateUUID()
+    };
+
+    // INFO: the state before the first offline change of the record, it is
+    // restored when the changes are discarded
+    if(operation !== 'createRecord' && !this.jobsFor(typeName, snapshot.id).length) {
+      job.base = committedRecord(this, snapshot, job.record);
+    }
+
+    if(operation === 'updateRecord') {
+      var versionAttribute = modelOption(
+        this.get('container'), snapshot.type, 'versionAttribute'
+      );
+
+      job.changedKeys = changedAttributes(snapshot).concat(changedRelationships(snapshot));
+      if(versionAttribute) {
+        job.version = job.record[versionAttribute];
+      }
+    }
+
+    // NOTE: the job is added synchronously, so that the local ids it
+    // references are not garbage collected in the meantime
+    var syncer    = this;
+    var embedding = embedRecords(this, snapshot, job.record);
+    var idWrites  = this.get('idWrites');
+    this.set('idWrites', []);
+
+    // INFO: a job which can not be saved is not synced either, so that the
+    // rejected save can be retried
+    var creating  = RSVP.all(idWrites.concat([this.create('job', job)])).catch(function(error) {
+      syncer.set('jobs', syncer.get('jobs').without(job));
+      return RSVP.reject(error);
+    });
+
+    return embedding.then(function() {
+      return creating;
+    });
+  },
+
+  /**
+   * Compact the queue of jobs and save it to localforage, so that a record
+   * changed many times while offline is synced with as few requests as
+   * possible. This is called before running all the jobs.
+   *
+   * @method compactJobs
+   * @public
+   * @return {Promise} jobs
+   */
+  compactJobs: function() {
+    var jobs = compactJobs(this.get('jobs'));
+
+    return this.saveAll('job', jobs).then(function() {
+      return jobs;
     });
   },
 
@@ -101,6 +618,93 @@ export default Ember.Object.extend({
     return this.runAllJobs();
   },
 
+  /**
+   * Sync up automatically in the background, the options are:
+   *
+   * - online:           sync up when the browser goes online, default true
+   * - visibilityChange: sync up when the page becomes visible, default true
+   * - interval:         sync up every `interval` ms, default 0(disabled)
+   *
+   * Syncing never overlaps, a sync up triggered while syncing waits for the
+   * running one.
+   *
+   * @method startAutoSync
+   * @public
+   * @param {Object|Boolean} options true to use the defaults
+   */
+  startAutoSync: function(options) {
+    var syncer    = this;
+    var namespace = '.fryctoria-' + Ember.guidFor(syncer);
+    var sync      = Ember.run.bind(syncer, 'autoSyncUp');
+
+    options = Ember.merge({
+      online:           true,
+      visibilityChange: true,
+      interval:         0
+    }, typeof options === 'object' ? options : {});
+
+    syncer.stopAutoSync();
+
+    if(options.online) {
+      Ember.$(window).on('online' + namespace, sync);
+    }
+
+    if(options.visibilityChange) {
+      Ember.$(document).on('visibilitychange' + namespace, function() {
+        if(!document.hidden) {
+          sync();
+        }
+      });
+    }
+
+    // NOTE: use setInterval instead of Ember.run.later, a pending run loop
+    // timer would prevent acceptance tests from settling.
+    if(options.interval) {
+      syncer.set('autoSyncTimer', window.setInterval(sync, options.interval));
+    }
+
+    syncer.set('autoSyncNamespace', namespace);
+  },
+
+  /**
+   * Stop syncing up automatically.
+   *
+   * @method stopAutoSync
+   * @public
+   */
+  stopAutoSync: function() {
+    var namespace = this.get('autoSyncNamespace');
+
+    if(namespace) {
+      Ember.$(window).off(namespace);
+      Ember.$(document).off(namespace);
+      this.set('autoSyncNamespace', null);
+    }
+
+    if(this.get('autoSyncTimer')) {
+      window.clearInterval(this.get('autoSyncTimer'));
+      this.set('autoSyncTimer', null);
+    }
+  },
+
+  /**
+   * Sync up triggered by auto sync, errors are logged.
+   *
+   * @method autoSyncUp
+   * @private
+   * @return {Promise}
+   */
+  autoSyncUp: function() {
+    if(window.navigator.onLine === false || this.get('isDestroying')) {
+      return RSVP.resolve();
+    }
+
+    return this.syncUp().catch(function(error) {
+      Ember.Logger.warn('Syncing Error:');
+      Ember.Logger.error(error && error.stack);
+    });
+  },
+
   /**
    * TODO:
    * Save all records in the store into localforage.
@@ -114,6 +718,9 @@ export default Ember.Object.extend({
     var syncer = this;
 
     if(typeof descriptor === 'string') {
+      if(!syncer.policyFor(descriptor).cache) {
+        return RSVP.resolve();
+      }
       return reloadLocalRecords(syncer.get('container'), descriptor);
 
     } else if(isModelInstance(descriptor)) {
@@ -131,312 +738,2312 @@ export default Ember.Object.extend({
   },
 
   /**
-   * Reset syncer and localforage records.
-   * Remove all jobs and remoteIdRecords.
-   * Remove all records in localforage.
+   * Move a dead job back to the queue of jobs, with the jobs blocked by it,
+   * they will be run in the next syncUp.
    *
-   * @method
+   * @method retryDeadJob
    * @public
+   * @param {String} id
+   * @return {Promise}
    */
-  reset: function() {
-    return RSVP.all([
-      this.deleteAll('job'),
-      this.deleteAll('remoteIdRecord'),
-      this.get('localAdapter').clear()
-    ]);
+  retryDeadJob: function(id) {
+    var syncer  = this;
+    var job     = syncer.findDeadJob(id);
+    var blocked = Ember.A(syncer.get('deadJobs').filterBy('blockedBy', id)).sortBy('seq');
+
+    return [job].concat(blocked).reduce(function(acc, deadJob) {
+      return acc.then(function() {
+        return syncer.deleteById('deadJob', deadJob.id);
+      }).then(function() {
+        // INFO: its record may have been changed, it is a new request
+        return syncer.create('job', Ember.merge(deadJob, {
+          attempts:       0,
+          lastError:      null,
+          nextAttemptAt:  null,
+          blockedBy:      null,
+          idempotencyKey: generateUUID(),
+          isSent:         false
+        }));
+      });
+    }, RSVP.resolve());
   },
 
   /**
-   * Decide if the error indicates offline
+   * Edit the record of a dead job, e.g. to fix an invalid attribute before
+   * retrying it.
    *
-   * @method
+   * @method updateDeadJob
+   * @public
+   * @param {String} id
+   * @param {Object} record attributes to change in the serialized record
+   * @return {Promise}
+   */
+  updateDeadJob: function(id, record) {
+    var job = this.findDeadJob(id);
+    Ember.merge(job.record, record);
+
+    return this.save('deadJob', job);
+  },
+
+  /**
+   * Remove a dead job for good.
+   *
+   * @method discardDeadJob
+   * @public
+   * @param {String} id
+   * @return {Promise}
+   */
+  discardDeadJob: function(id) {
+    this.findDeadJob(id);
+    return this.deleteById('deadJob', id);
+  },
+
+  /**
+   * Discard the changes of a record which are not synced yet: remove its
+   * jobs and dead jobs, and restore the record from its base copy, in the
+   * store and in localforage. A record created offline is removed.
+   *
+   * NOTE: without base copy, only the attributes saved in the first job of
+   * the record are restored.
+   *
+   * @method discardJobsFor
+   * @public
+   * @param {String|DS.Model} type
+   * @param {String} id
+   * @return {Promise}
+   */
+  discardJobsFor: function(type, id) {
+    var syncer   = this;
+    var store    = this.get('mainStore');
+    var typeName = store.modelFor(type).typeKey;
+    var jobs     = this.jobsFor(typeName, id);
+
+    // INFO: dead jobs failed before the jobs still queued
+    var deadJobs = jobsOfRecord(this, this.get('deadJobs'), typeName, id);
+    var allJobs  = deadJobs.concat(jobs);
+
+    if(this.get('syncPromise')) {
+      return RSVP.reject(new Error('Can not discard jobs while syncing.'));
+    }
+
+    if(!allJobs.length) {
+      return RSVP.resolve();
+    }
+
+    var isCreated = allJobs.isAny('operation', 'createRecord');
+    var localId   = allJobs[0].record.id;
+    var isReferenced = isCreated && this.get('deadJobs').concat(this.get('jobs')).some(function(job) {
+      return allJobs.indexOf(job) === -1 && referencesId(job.record, localId);
+    });
+
+    if(isReferenced) {
+      return RSVP.reject(new Error(
+        typeName + ' ' + id + ' is referenced by other jobs, its changes can not be discarded.'
+      ));
+    }
+
+    var deletedJobs = jobs.map(function(job) {
+      return syncer.deleteById('job', job.id);
+    }).concat(deadJobs.map(function(job) {
+      return syncer.deleteById('deadJob', job.id);
+    }));
+
+    return RSVP.all(deletedJobs).then(function() {
+      if(isCreated) {
+        return removeLocalRecord(syncer, typeName, id);
+      }
+
+      // INFO: jobs keep the attributes before the first change, in case
+      // there is no base copy
+      return syncer.findBase(typeName, id).catch(function() {
+        var job = allJobs.findBy('base');
+        return job && job.base;
+
+      }).then(function(base) {
+        if(!base) {
+          Ember.Logger.warn('No state before the changes of ' + typeName + ' ' + id + ', it keeps them.');
+          return;
+        }
+
+        return restoreLocalRecord(syncer, typeName, id, base);
+      });
+    });
+  },
+
+  /**
+   * Reset syncer and localforage records.
+   * Remove all jobs, deadJobs and remoteIdRecords.
+   * Remove all records in localforage.
+   *
+   * @method
+   * @public
+   */
+  reset: function() {
+    return RSVP.all([
+      this.deleteAll('job'),
+      this.deleteAll('deadJob'),
+      this.deleteAll('remoteIdRecord'),
+      this.get('collections').query.clear(),
+      clearCacheMetas(this),
+      this.get('localAdapter').clear(),
+      this.get('baseAdapter').clear()
+    ]);
+  },
+
+  /**
+   * Save the ids of the records found by a query on the server.
+   *
+   * @method cacheQuery
+   * @param {DS.Model} type
+   * @param {Object} query
+   * @param {Array} ids
+   * @return {Promise}
+   */
+  cacheQuery: function(type, query, ids) {
+    return this.get('collections').query.put({
+      typeName: type.typeKey,
+      query:    normalizeQuery(query),
+      ids:      ids,
+      cachedAt: (new Date()).getTime()
+    });
+  },
+
+  /**
+   * Find records of a query in localforage. The ids cached for the same
+   * query are used, otherwise the query is evaluated on the local records.
+   *
+   * @method findQueryInLocal
+   * @param {DS.Model} type
+   * @param {Object} query
+   * @return {Promise} serialized records
+   */
+  findQueryInLocal: function(type, query) {
+    var syncer       = this;
+    var localStore   = this.get('localStore');
+    var localAdapter = this.get('localAdapter');
+    var queryRecord  = { typeName: type.typeKey, query: normalizeQuery(query) };
+
+    return this.get('collections').query.find(queryRecordKey(queryRecord)).then(function(cachedQuery) {
+      // INFO: another query can have the same hash
+      if(!cachedQuery || cachedQuery.query !== queryRecord.query) {
+        return localAdapter.findAll(localStore, type).then(function(records) {
+          return syncer.evaluateQuery(type, records, query);
+        });
+      }
+
+      // INFO: a record may have been deleted since the query was cached
+      return RSVP.all(cachedQuery.ids.map(function(id) {
+        return localAdapter.find(localStore, type, id).catch(function() {
+          return null;
+        });
+      })).then(function(records) {
+        return records.filter(Boolean);
+      });
+    });
+  },
+
+  /**
+   * Evaluate a query which was never sent to the server on local records,
+   * see utils/evaluate-query. A model can have its own queryEvaluator:
+   * function(records, query, type) which returns the records found.
+   *
+   * @method evaluateQuery
+   * @public
+   * @param {DS.Model} type
+   * @param {Array} records serialized records
+   * @param {Object} query
+   * @return {Array}
+   */
+  evaluateQuery: function(type, records, query) {
+    var evaluator = modelOption(this.get('container'), type, 'queryEvaluator');
+
+    return (evaluator || evaluateQuery)(records, query, type);
+  },
+
+  /**
+   * The offline policy of a model, see utils/offline-policy.
+   *
+   * @method policyFor
+   * @public
+   * @param {String|DS.Model} type
+   * @return {Object}
+   */
+  policyFor: function(type) {
+    return offlinePolicy(this.get('container'), this.get('mainStore').modelFor(type));
+  },
+
+  /**
+   * Check if the offline policy of a model allows an operation offline.
+   *
+   * @method allowsOffline
+   * @public
+   * @param {String|DS.Model} type
+   * @param {String} operation read, createRecord, updateRecord or deleteRecord
+   * @return {Boolean}
+   */
+  allowsOffline: function(type, operation) {
+    var policyKeys = {
+      read:         'read',
+      createRecord: 'create',
+      updateRecord: 'update',
+      deleteRecord: 'delete'
+    };
+
+    return !!this.policyFor(type)[policyKeys[operation]];
+  },
+
+  /**
+   * Save the time a record is cached from the server, and evict the least
+   * recently used records if there are too many.
+   *
+   * @method touchCache
+   * @param {DS.Model} type
+   * @param {String} id
+   * @return {Promise}
+   */
+  touchCache: function(type, id) {
+    var now = (new Date()).getTime();
+
+    var touching = putCacheMeta(this, {
+      typeName:   type.typeKey,
+      id:         id,
+      cachedAt:   now,
+      accessedAt: now
+    });
+
+    scheduleBudget(this, type);
+
+    return touching;
+  },
+
+  /**
+   * @method forgetCache
+   * @param {DS.Model} type
+   * @param {String} id
+   * @return {Promise}
+   */
+  forgetCache: function(type, id) {
+    return removeCacheMeta(this, cacheMetaKey({ typeName: type.typeKey, id: id }));
+  },
+
+  /**
+   * Prepare records read in localforage by the backup of the adapter: add
+   * the time they were cached, and evict the records cached for longer than
+   * the ttl of their offline policy. An expired single record is rejected.
+   *
+   * NOTE: records without cache time, e.g. created offline, never expire.
+   *
+   * @method readCachedPayload
+   * @param {DS.Model} type
+   * @param {Object|Array} payload
+   * @return {Promise} payload
+   */
+  readCachedPayload: function(type, payload) {
+    var syncer = this;
+
+    if(!isObject(payload)) {
+      return RSVP.resolve(payload);
+    }
+
+    var readRecord = function(record) {
+      var key = cacheMetaKey({ typeName: type.typeKey, id: record.id });
+
+      return findCacheMeta(syncer, key).then(function(meta) {
+        if(meta && syncer.isExpired(meta)) {
+          return syncer.evict(type, record.id).then(function() {
+            return null;
+          });
+        }
+
+        // INFO: a copy, the local adapter may keep records in memory
+        var copy = Ember.merge({}, record);
+        copy[CACHED_AT_KEY] = meta ? meta.cachedAt : null;
+
+        if(!meta) {
+          return copy;
+        }
+
+        meta = Ember.merge({}, meta);
+        meta.accessedAt = (new Date()).getTime();
+
+        // INFO: the record is read even if its access time is not saved
+        var returnCopy = function() { return copy; };
+        return putCacheMeta(syncer, meta).then(returnCopy, returnCopy);
+      });
+    };
+
+    if(!Ember.isArray(payload)) {
+      return readRecord(payload).then(function(record) {
+        return record ||
+          RSVP.reject(offlineError('read', type.typeKey, 'the cached record is expired'));
+      });
+    }
+
+    return RSVP.all(payload.map(readRecord)).then(function(records) {
+      return records.filter(Boolean);
+    });
+  },
+
+  /**
+   * Take the cache time added by readCachedPayload out of data pushed into
+   * the store. This is used in store#push.
+   *
+   * @method takeCacheInfo
+   * @private
+   * @param {DS.Model} type
+   * @param {Object} data
+   * @return {Object} { cachedAt, isStale } or undefined if data is not read
+   *  in localforage
+   */
+  takeCacheInfo: function(type, data) {
+    if(!isObject(data) || !data.hasOwnProperty(CACHED_AT_KEY)) {
+      return;
+    }
+
+    var cachedAt = data[CACHED_AT_KEY];
+    var maxAge   = this.policyFor(type).maxAge;
+    delete data[CACHED_AT_KEY];
+
+    return {
+      cachedAt: cachedAt && new Date(cachedAt),
+      isStale:  !!(cachedAt && maxAge) && cachedAt + maxAge < (new Date()).getTime()
+    };
+  },
+
+  /**
+   * Check if a record cached from the server is expired. Records with
+   * pending or dead jobs never expire.
+   *
+   * @method isExpired
+   * @param {Object} meta cacheMeta of the record
+   * @return {Boolean}
+   */
+  isExpired: function(meta) {
+    var ttl = this.policyFor(meta.typeName).ttl;
+
+    var hasJobs = jobsOfRecord(this, allJobs(this), meta.typeName, meta.id).length > 0;
+
+    return !!ttl && !hasJobs && meta.cachedAt + ttl < (new Date()).getTime();
+  },
+
+  /**
+   * Remove a record from localforage.
+   *
+   * @method evict
+   * @param {DS.Model} type
+   * @param {String} id
+   * @return {Promise}
+   */
+  evict: function(type, id) {
+    var localStore   = this.get('localStore');
+    var localAdapter = this.get('localAdapter');
+    var baseAdapter  = this.get('baseAdapter');
+
+    return RSVP.all([
+      localAdapter.deleteRecord(localStore, type, {id: id}),
+      baseAdapter.deleteRecord(localStore, type, {id: id}),
+      this.forgetCache(type, id)
+    ]);
+  },
+
+  /**
+   * Find the base copy of a record, as last confirmed by the server.
+   *
+   * @method findBase
+   * @public
+   * @param {String|DS.Model} type
+   * @param {String} id
+   * @return {Promise} the serialized record, rejected if there is no base copy
+   */
+  findBase: function(type, id) {
+    return this.get('baseAdapter').find(
+      this.get('localStore'), this.get('mainStore').modelFor(type), id
+    );
+  },
+
+  /**
+   * Evict all the expired records from localforage. This is called when
+   * syncer is initialized.
+   *
+   * @method evictExpired
+   * @public
+   * @return {Promise}
+   */
+  evictExpired: function() {
+    var syncer = this;
+    var store  = this.get('mainStore');
+
+    return allCacheMetas(this).then(function(metas) {
+      return RSVP.all(metas.filter(function(meta) {
+        return syncer.isExpired(meta);
+      }).map(function(meta) {
+        return syncer.evict(store.modelFor(meta.typeName), meta.id);
+      }));
+    });
+  },
+
+  /**
+   * Evict the least recently used records from localforage, until the
+   * records of each model fit in the maxRecords of its offline policy and all
+   * the records fit in maxCachedRecords. Records referenced by pending or dead
+   * jobs are never evicted. This is scheduled when a record is cached.
+   *
+   * @method enforceBudget
+   * @public
+   * @return {Promise}
+   */
+  enforceBudget: function() {
+    var syncer           = this;
+    var store            = this.get('mainStore');
+    var maxCachedRecords = this.get('maxCachedRecords');
+
+    return allCacheMetas(this).then(function(metas) {
+      var evictable = evictableMetas(syncer, metas);
+      var evicted   = [];
+
+      metas = Ember.A(metas);
+
+      var evictOldest = function(candidates, count) {
+        candidates.filter(function(meta) {
+          return evicted.indexOf(meta) === -1;
+        }).slice(0, Math.max(count, 0)).forEach(function(meta) {
+          evicted.push(meta);
+        });
+      };
+
+      metas.mapBy('typeName').uniq().forEach(function(typeName) {
+        var maxRecords = syncer.policyFor(typeName).maxRecords;
+
+        if(maxRecords !== null) {
+          evictOldest(
+            evictable.filterBy('typeName', typeName),
+            metas.filterBy('typeName', typeName).length - maxRecords
+          );
+        }
+      });
+
+      if(maxCachedRecords !== null) {
+        evictOldest(evictable, metas.length - evicted.length - maxCachedRecords);
+      }
+
+      return RSVP.all(evicted.map(function(meta) {
+        return syncer.evict(store.modelFor(meta.typeName), meta.id);
+      }));
+    });
+  },
+
+  /**
+   * Decide if the error indicates offline
+   *
+   * @method
    * @public
    */
   isOffline: function(error) {
     return error && error.status === 0;
   },
 
-  /**
-   * This method does not talk to remote store, it only need to get serializer
-   * from a store.
-   *
-   * @method
-   * @private
-   */
-  syncDownRecord: function(record) {
-    var localStore   = this.get('localStore');
-    var localAdapter = this.get('localAdapter');
-    var snapshot     = record._createSnapshot();
+  /**
+   * Decide how long to wait before retrying a job which failed a number of
+   * times.
+   *
+   * @method
+   * @public
+   * @param {Number} attempts
+   * @return {Number} delay in milliseconds
+   */
+  retryDelayFor: function(attempts) {
+    var delay = this.get('retryDelay') * Math.pow(2, attempts - 1);
+    return Math.min(delay, this.get('maxRetryDelay'));
+  },
+
+  /**
+   * This method does not talk to remote store, it only need to get serializer
+   * from a store.
+   *
+   * @method
+   * @private
+   */
+  syncDownRecord: function(record) {
+    var localStore   = this.get('localStore');
+    var localAdapter = this.get('localAdapter');
+    var snapshot     = record._createSnapshot();
+    var hasJobs      = this.jobsFor(snapshot.type, snapshot.id).length > 0;
+
+    if(record.get('isDeleted')) {
+      if(!hasJobs) {
+        return this.evict(snapshot.type, snapshot.id);
+      }
+
+      // INFO: the base copy of a record deleted offline is kept until the
+      // deletion is synced
+      return RSVP.all([
+        localAdapter.deleteRecord(localStore, snapshot.type, snapshot),
+        this.forgetCache(snapshot.type, snapshot.id)
+      ]);
+    }
+
+    // INFO: records read in localforage keep the time they were cached,
+    // records changed offline keep their base copy
+    return cacheRecord(this, snapshot, !record.get('fryctoria') && !hasJobs);
+  },
+
+  /**
+   * Attampt to run all the jobs one by one. Deal with syncing failure.
+   * If syncer is already syncing, return the running sync.
+   *
+   * @method runAllJobs
+   * @private
+   * @return {Promise}
+   */
+  runAllJobs: function() {
+    var syncer = this;
+    var jobs = this.get('jobs');
+
+    if(syncer.get('syncPromise')) {
+      return syncer.get('syncPromise');
+    }
+
+    if(jobs.length === 0) {
+      Ember.Logger.info('Syncing jobs are empty.');
+      return RSVP.resolve();
+    }
+
+    if(syncer.get('isLocked')) {
+      Ember.Logger.info('Local data is locked, stop syncing');
+      return RSVP.resolve();
+    }
+
+    var tabCoordinator = syncer.get('tabCoordinator');
+
+    var syncPromise = tabCoordinator.acquire().then(function(isAcquired) {
+      if(!isAcquired) {
+        Ember.Logger.info('Another tab is syncing, stop syncing');
+        return false;
+      }
+
+      Ember.Logger.info('Syncing started.');
+      syncer.trigger('syncStarted');
+
+      // NOTE: jobs may have been synced by another tab since we read them
+      return syncer.reload().then(function() {
+        return syncer.compactJobs();
+      }).then(function(compactedJobs) {
+        return compactedJobs.filter(function(job) {
+          if(isInNamespace(syncer, job)) {
+            return true;
+          }
+
+          Ember.Logger.warn('Job ' + job.id + ' belongs to another namespace, it is not run');
+          return false;
+        });
+      }).then(function(ownJobs) {
+        return prioritizeJobs(ownJobs, function(job) {
+          return syncer.policyFor(job.typeName).priority;
+        });
+      }).then(function(prioritizedJobs) {
+        // run batches of jobs one at a time, resolve false if we stop before
+        // the end
+        return groupJobs(syncer, prioritizedJobs).reduce(function(acc, jobs) {
+          return acc.then(function(isRunning) {
+            if(!isRunning) {
+              return false;
+            }
+
+            // INFO: jobs depending on a dead job are dead too
+            var queuedJobs = jobs.filter(function(job) {
+              return isQueued(syncer, job);
+            });
+
+            if(!queuedJobs.length) {
+              return true;
+            }
+
+            return queuedJobs.length > 1 ?
+              syncer.runBatch(queuedJobs) : syncer.runJobs(queuedJobs);
+          });
+        }, RSVP.resolve(true));
+      });
+    })
+
+    .then(function(isFinished) {
+      if(!isFinished) {
+        return;
+      }
+
+      // INFO: all the jobs are synced, a failed cleanup of the id map is
+      // retried after the next sync
+      return syncer.collectIds().catch(function(error) {
+        Ember.Logger.warn('Can not collect the ids of synced records', error);
+      }).then(function() {
+        syncer.setProperties({ lastSyncedAt: new Date(), lastError: null });
+        Ember.Logger.info('Syncing succeed.');
+        syncer.trigger('syncCompleted');
+      });
+    })
+
+    .catch(function(error) {
+      if(syncer.isOffline(error)) {
+        syncer.set('isOnline', false);
+        Ember.Logger.info('Can not connect to server, stop syncing');
+      } else if(syncer.handleSyncUpError){
+        return syncer.handleSyncUpError(error);
+      } else {
+        return RSVP.reject(error);
+      }
+    })
+
+    .finally(function() {
+      tabCoordinator.release();
+      syncer.set('syncPromise', null);
+    });
+
+    syncer.set('syncPromise', syncPromise);
+    return syncPromise;
+  },
+
+  /**
+   * Run jobs one at a time.
+   *
+   * @method runJobs
+   * @private
+   * @param {Array} jobs
+   * @return {Promise} resolve false if we stop before the end
+   */
+  runJobs: function(jobs) {
+    var syncer = this;
+
+    return jobs.reduce(function(acc, job) {
+      return acc.then(function(isRunning) {
+        if(!isRunning) {
+          return false;
+        }
+
+        if(!isQueued(syncer, job)) {
+          return true;
+        }
+
+        if(job.nextAttemptAt > (new Date()).getTime()) {
+          Ember.Logger.info('Job ' + job.id + ' will be retried later, stop syncing');
+          return false;
+        }
+
+        var mayReachServer = canReachServer(syncer);
+
+        return syncer.runJob(job).then(function() {
+          return true;
+        }, function(error) {
+          return syncer.failJob(job, error, mayReachServer);
+        });
+      });
+    }, RSVP.resolve(true));
+  },
+
+  /**
+   * Send jobs in one request to the batch endpoint of their adapter, then
+   * apply the result of each operation like runJob. When the request fails,
+   * the jobs are run one at a time, so that the failing job is retried alone.
+   *
+   * The request is an array of JSON Patch operations, the response is an
+   * array of the payloads of the operations in the same order:
+   * ```
+   * [
+   *   { op: 'add',     path: '/users',   value: { user: {...} } },
+   *   { op: 'replace', path: '/users/1', value: { user: {...} } },
+   *   { op: 'remove',  path: '/users/2' }
+   * ]
+   * ```
+   *
+   * NOTE: the batch endpoint should apply all the operations or none of them.
+   * When the response has not one result per job, the jobs are sent again one
+   * at a time with their idempotency keys.
+   *
+   * @method runBatch
+   * @private
+   * @param {Array} jobs jobs of the same adapter
+   * @return {Promise} resolve false if we stop before the end
+   */
+  runBatch: function(jobs) {
+    var syncer     = this;
+    var adapter    = this.get('mainStore').adapterFor(jobs[0].typeName);
+    var operations = jobs.map(function(job) {
+      return serializeOperation(syncer, job);
+    });
+    var mayReachServer = canReachServer(syncer);
+
+    return adapter.ajax(batchURL(adapter), 'POST', { data: operations })
+      .then(function(results) {
+        // INFO: the operations are applied but their results can not be
+        // matched to the jobs, the jobs are sent again one at a time with the
+        // same idempotency keys
+        if(!Ember.isArray(results) || results.length !== jobs.length) {
+          Ember.Logger.warn('Batch response does not have a result for each of the ' + jobs.length + ' jobs');
+
+          return markSent(syncer, jobs).then(function() {
+            return syncer.runJobs(jobs);
+          });
+        }
+
+        return jobs.reduce(function(acc, job, index) {
+          return acc.then(function(isRunning) {
+            if(!isRunning) {
+              return false;
+            }
+
+            return syncer.runJob(job, results[index]).then(function() {
+              return true;
+            }, function(error) {
+              return syncer.failJob(job, error);
+            });
+          });
+        }, RSVP.resolve(true));
+
+      }, function(error) {
+        if(syncer.isOffline(error)) {
+          var marking = mayReachServer ? markSent(syncer, jobs) : RSVP.resolve();
+
+          return marking.then(function() {
+            return RSVP.reject(error);
+          });
+        }
+
+        Ember.Logger.info('Batch of ' + jobs.length + ' jobs failed, run them one at a time');
+        return syncer.runJobs(jobs);
+      });
+  },
+
+  /**
+   * Record a failure of a job. The job is moved to deadJobs when it has
+   * failed maxAttempts times and the syncing goes on, otherwise the syncing
+   * stops and the job is retried after a delay.
+   *
+   * The later jobs which depend on a dead job, e.g. updates of a record it
+   * creates, are moved to deadJobs with it, see isDependency.
+   *
+   * @method failJob
+   * @private
+   * @param {Object} job
+   * @param {Error} error
+   * @param {Boolean} mayReachServer false when the job was sent while
+   *   offline, it could not leave the device
+   * @return {Promise} resolve true to go on syncing
+   */
+  failJob: function(job, error, mayReachServer) {
+    var syncer = this;
+
+    if(syncer.isOffline(error)) {
+      var marking = mayReachServer === false ? RSVP.resolve() : markSent(syncer, [job]);
+
+      return marking.then(function() {
+        return RSVP.reject(error);
+      });
+    }
+
+    // INFO: the server answered, the job is a new request when it is sent
+    // again, e.g. after its record was changed. The key is kept when the
+    // outcome is unknown.
+    if(hasAnswer(error)) {
+      job.idempotencyKey = generateUUID();
+      job.isSent         = false;
+    }
+
+    var attempts = (job.attempts || 0) + 1;
+    Ember.merge(job, {
+      attempts:      attempts,
+      lastError:     serializeError(error),
+      nextAttemptAt: (new Date()).getTime() + syncer.retryDelayFor(attempts)
+    });
+
+    syncer.set('lastError', job.lastError);
+    syncer.trigger('jobFailed', job, error);
+
+    if(attempts < syncer.get('maxAttempts')) {
+      return syncer.save('job', job).then(function() {
+        return RSVP.reject(error);
+      });
+    }
+
+    Ember.Logger.warn('Job ' + job.id + ' failed ' + attempts + ' times, move it to dead jobs');
+
+    var deadJobs = dependentJobs(syncer, job);
+    deadJobs.forEach(function(dependent) {
+      dependent.blockedBy = job.id;
+      dependent.lastError = serializeError({
+        message: 'Job ' + job.id + ' it depends on is dead'
+      });
+    });
+
+    return [job].concat(deadJobs).reduce(function(acc, deadJob) {
+      return acc.then(function() {
+        return syncer.deleteById('job', deadJob.id);
+      }).then(function() {
+        return syncer.create('deadJob', deadJob);
+      });
+    }, RSVP.resolve()).then(function() {
+      return true;
+    });
+  },
+
+  /**
+   * Sync a job with the server, then update the store and localforage.
+   *
+   * @method runJob
+   * @private
+   * @param {Object} job
+   * @param {Object} response result of the job in a batch, the job is not sent
+   * @return {Promise}
+   */
+  runJob: function(job, response) {
+    var syncer     = this;
+
+    var store      = syncer.get('mainStore');
+
+    var typeName   = job.typeName;
+    var type       = store.modelFor(typeName);
+
+    // NOTE: jobs saved before idempotency keys get one, it is saved if the
+    // job fails
+    if(!job.idempotencyKey) {
+      job.idempotencyKey = generateUUID();
+    }
+
+    // INFO: jobs sent in a batch are given the response of the server
+    var adapter    = store.adapterFor(typeName);
+    var isBatched  = arguments.length > 1;
+    var remoteCRUD = isBatched ?
+      respondWith(response) : adapter.get('fryctoria');
+
+    var record     = createRecordFromJob(syncer, job, type);
+    var snapshot   = record._createSnapshot();
+
+    var operation  = job.operation;
+
+    var syncedRecord;
+
+    if(operation === 'deleteRecord') {
+      syncedRecord = withIdempotencyKey(adapter, job, function() {
+        return remoteCRUD.deleteRecord.call(adapter, store, type, snapshot);
+      });
+
+    } else if(operation === 'updateRecord') {
+      // adapter -> store -> localforage
+      syncedRecord = syncer.resolveConflicts(job, type, function(resolvedJob) {
+        if(resolvedJob !== job) {
+          record   = createRecordFromJob(syncer, resolvedJob, type);
+          snapshot = record._createSnapshot();
+        }
+        var sent = withIdempotencyKey(adapter, job, function() {
+          return !isBatched && canPatch(adapter, resolvedJob) ?
+            patchRecord(syncer, adapter, type, snapshot, resolvedJob.changedKeys) :
+            remoteCRUD.updateRecord.call(adapter, store, type, snapshot);
+        });
+
+        return sent.then(applyUpdatePayload);
+      });
+
+    } else if(operation === 'createRecord') {
+      var recordIdBeforeCreate = record.get('id');
+      var isLocalId = syncer.isLocalId(typeName, recordIdBeforeCreate);
+
+      // INFO: client generated ids are sent as is
+      if(isLocalId) {
+        record.set('id', null);
+        snapshot = record._createSnapshot();
+      }
+
+      // adapter -> store -> syncer(remoteId) -> localforage
+      syncedRecord = withIdempotencyKey(adapter, job, function() {
+        return remoteCRUD.createRecord.call(adapter, store, type, snapshot);
+      })
+        .then(updateIdInStore)
+        .then(mapRemoteId)
+        .then(mapEmbeddedRecordIds)
+        .then(refreshLocalRecord);
+    }
+
+    // delete from db after syncing success
+    return syncedRecord.then(function() {
+      syncer.set('isOnline', true);
+      return syncer.deleteById('job', job.id);
+    }).then(function() {
+      if(operation === 'deleteRecord') {
+        return syncer.evict(type, syncer.resolveId(typeName, job.record.id));
+      }
+    }).then(function() {
+      syncer.notifyTabs({
+        type:      'jobSucceeded',
+        operation: operation,
+        typeName:  typeName,
+        localId:   job.record.id,
+        id:        syncer.resolveId(typeName, job.record.id)
+      });
+      syncer.trigger('jobSucceeded', job);
+    });
+
+    function applyUpdatePayload(payload) {
+      // INFO: the server may respond without content, it confirms the
+      // record of the job
+      if(!isObject(payload)) {
+        return cacheBase(syncer, snapshot);
+      }
+
+      var recordExtracted = store.serializerFor(type).extract(
+        store, type, payload, record.get('id'), 'single'
+      );
+
+      if(recordExtracted) {
+        return mapEmbeddedIds(syncer, type, job.record, recordExtracted)
+          .then(function() {
+            return syncer.pushServerRecord(type, recordExtracted, record);
+          });
+      }
+    }
+
+    function updateIdInStore(payload) {
+      var recordExtracted = store.serializerFor(type).extract(
+        store, type, payload, record.get('id'), 'single'
+      );
+
+      var recordInStore = store.getById(typeName, recordIdBeforeCreate);
+
+      // INFO: recordInStore may be null because it may be deleted
+      if(recordInStore) {
+        recordInStore.set('id', null);
+        store.updateId(recordInStore, recordExtracted);
+      }
+
+      return recordExtracted;
+    }
+
+    function mapRemoteId(recordExtracted) {
+      if(!isLocalId) {
+        return recordExtracted;
+      }
+
+      return syncer.mapId(typeName, recordIdBeforeCreate, recordExtracted.id)
+        .then(function() {
+          return recordExtracted;
+        });
+    }
+
+    function mapEmbeddedRecordIds(recordExtracted) {
+      return mapEmbeddedIds(syncer, type, job.record, recordExtracted)
+        .then(function() {
+          return recordExtracted;
+        });
+    }
+
+    function refreshLocalRecord(recordExtracted) {
+      // NOTE: we should pass snapshot instead of rawRecord to deleteRecord,
+      // in deleteRecord, we only call snapshot.id, we can just pass the
+      // rawRecord to it.
+
+      // delete existing record with localId
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+
+      return localAdapter.deleteRecord(
+        localStore, type, {id: recordIdBeforeCreate}
+      ).then(function() {
+
+        // create new record with remoteId and data from the server
+        record.set('id', recordExtracted.id);
+        return syncer.pushServerRecord(type, recordExtracted, record);
+      });
+    }
+  },
+
+  /**
+   * Send an update job, resolve a conflict with the record on the server.
+   *
+   * When the model has a versionAttribute, the version on the server is
+   * compared with the version of the job before sending it. When the model
+   * has a versionAttribute or a conflictStrategy, a 409 or 412 response is a
+   * conflict too. Conflicts are resolved with the conflictStrategy of the
+   * model, 'client-wins' by default.
+   *
+   * @method resolveConflicts
+   * @private
+   * @param {Object} job
+   * @param {DS.Model} type
+   * @param {Function} send send a job to the server and return a promise
+   * @return {Promise}
+   */
+  resolveConflicts: function(job, type, send) {
+    var syncer           = this;
+    var container        = syncer.get('container');
+    var versionAttribute = modelOption(container, type, 'versionAttribute');
+    var strategy         = modelOption(container, type, 'conflictStrategy');
+
+    if(!versionAttribute && !strategy) {
+      return send(job);
+    }
+
+    if(versionAttribute) {
+      return syncer.fetchServerRecord(job, type).then(function(serverData) {
+        var serverRecord = serializeInLocal(syncer, type, serverData);
+
+        if(String(serverRecord[versionAttribute]) === String(job.version)) {
+          return sendOrResolve();
+        } else {
+          return resolve(serverData);
+        }
+      });
+    } else {
+      return sendOrResolve();
+    }
+
+    function sendOrResolve() {
+      return send(job).catch(function(error) {
+        if(!isConflictError(error)) {
+          return RSVP.reject(error);
+        }
+        return syncer.fetchServerRecord(job, type).then(resolve);
+      });
+    }
+
+    function resolve(serverData) {
+      var serverRecord = serializeInLocal(syncer, type, serverData);
+
+      Ember.Logger.info('Conflict on ' + job.typeName + ' ' + job.record.id + ', resolve it.');
+
+      return resolveConflict(
+        strategy || 'client-wins', serverRecord, job, type, versionAttribute
+      ).then(function(record) {
+        if(record) {
+          // INFO: the server answered the job, the resolved record is sent
+          // in a new request
+          job.idempotencyKey = generateUUID();
+          return send(Ember.merge(Ember.merge({}, job), { record: record }));
+        } else {
+          // the server wins, drop the job
+          return syncer.pushServerRecord(
+            type, serverData, createRecordFromJob(syncer, job, type)
+          );
+        }
+      });
+    }
+  },
+
+  /**
+   * Get the record of a job from the server.
+   *
+   * @method fetchServerRecord
+   * @private
+   * @param {Object} job
+   * @param {DS.Model} type
+   * @return {Promise} data normalized by the serializer of the model
+   */
+  fetchServerRecord: function(job, type) {
+    var store    = this.get('mainStore');
+    var adapter  = store.adapterFor(job.typeName);
+    var remoteId = this.resolveId(job.typeName, job.record.id);
+
+    return adapter.get('fryctoria').find.call(adapter, store, type, remoteId)
+      .then(function(payload) {
+        return store.serializerFor(job.typeName).extract(
+          store, type, payload, remoteId, 'find'
+        );
+      });
+  },
+
+  /**
+   * Push data from the server into the main store and localforage, e.g. the
+   * response of a replayed job with attributes computed by the server.
+   *
+   * When the record is not loaded or has unsaved changes in the main store,
+   * the store is not touched and the record of the job, updated with the data
+   * from the server, is saved into localforage.
+   *
+   * @method pushServerRecord
+   * @private
+   * @param {DS.Model} type
+   * @param {Object} data normalized data
+   * @param {DS.Model} record record built from the job
+   * @return {Promise}
+   */
+  pushServerRecord: function(type, data, record) {
+    var store         = this.get('mainStore');
+    var recordInStore = store.getById(type.typeKey, data.id);
+
+    if(recordInStore && recordInStore.get('isDeleted')) {
+      return RSVP.resolve();
+    }
+
+    if(recordInStore && !recordInStore.get('isDirty')) {
+      return cacheRecord(this, store.push(type.typeKey, data)._createSnapshot(), true);
+    }
+
+    record.setupData(data);
+    return cacheRecord(this, record._createSnapshot(), true);
+  },
+
+  /**
+   * Tell the other tabs that something changed.
+   *
+   * @method notifyTabs
+   * @param {Object} message
+   */
+  notifyTabs: function(message) {
+    var tabCoordinator = this.get('tabCoordinator');
+
+    if(tabCoordinator && !tabCoordinator.get('isDestroyed')) {
+      tabCoordinator.broadcast(Ember.merge({ namespace: this.get('namespace') }, message));
+    }
+  },
+
+  /**
+   * Handle a message of another tab:
+   * - changed: jobs, deadJobs or remoteIdRecords are saved by another tab,
+   *   read them again
+   * - jobSucceeded: a job is synced by another tab, refresh its record in the
+   *   store with the one in localforage
+   *
+   * @method receiveTabMessage
+   * @param {Object} message
+   * @return {Promise}
+   */
+  receiveTabMessage: function(message) {
+    var syncer = this;
+
+    // INFO: the other tab may use the data of another namespace
+    if(syncer.get('isLocked') || (message.namespace || null) !== syncer.get('namespace')) {
+      return RSVP.resolve();
+    }
+
+    if(message.type === 'changed') {
+      return syncer.getAll(message.typeName).then(function() {
+        if(message.typeName === 'remoteIdRecord') {
+          syncer.updateStoreIds();
+        }
+      });
+
+    } else if(message.type === 'jobSucceeded') {
+      return syncer.refreshRecord(message);
+    }
+
+    return RSVP.resolve();
+  },
+
+  /**
+   * Give the remote ids of the id map to records of the store, they are
+   * created on the server by another tab.
+   *
+   * @method updateStoreIds
+   */
+  updateStoreIds: function() {
+    var store = this.get('mainStore');
+
+    this.get('remoteIdRecords').forEach(function(remoteIdRecord) {
+      if(remoteIdRecord.remoteId) {
+        updateStoreId(
+          store,
+          remoteIdRecord.typeName,
+          remoteIdRecord.localId,
+          remoteIdRecord.remoteId
+        );
+      }
+    });
+  },
+
+  /**
+   * Refresh a record synced by another tab with the one in localforage.
+   * Records changed in this tab are not refreshed.
+   *
+   * @method refreshRecord
+   * @param {Object} message message of jobSucceeded
+   * @return {Promise}
+   */
+  refreshRecord: function(message) {
+    var store    = this.get('mainStore');
+    var typeName = message.typeName;
+    var type     = store.modelFor(typeName);
+
+    updateStoreId(store, typeName, message.localId, message.id);
+
+    var record = store.getById(typeName, message.id);
+    if(!record || record.get('isDirty')) {
+      return RSVP.resolve();
+    }
+
+    if(message.operation === 'deleteRecord') {
+      record.unloadRecord();
+      return RSVP.resolve();
+    }
+
+    return pushLocalRecord(this, type, message.id)
+      .catch(function(error) {
+        Ember.Logger.warn('Can not refresh ' + typeName + ' ' + message.id, error);
+      });
+  },
+
+  // lazy evaluate main store, since main store is initialized after syncer
+  mainStore: Ember.computed(function() {
+    return this.get('container').lookup('store:main');
+  }),
+
+  /**
+   * Find the id of a record on the server. Ids which are not in the id map
+   * are remote ids or client generated ids.
+   *
+   * NOTE: it is possible that the record is not created on the server yet,
+   * then its local id is returned.
+   *
+   * @method resolveId
+   * @public
+   * @param {String|DS.Model} type
+   * @param {String} id
+   * @return {String}
+   */
+  resolveId: function(type, id) {
+    Ember.assert('Id can not be blank.', !Ember.isNone(id));
+
+    var remoteIdRecord = this.findRemoteIdRecord(type, id);
+
+    return remoteIdRecord && remoteIdRecord.remoteId || id;
+  },
+
+  /**
+   * Check if an id is a local id of a record which is not created on the
+   * server yet.
+   *
+   * @method isLocalId
+   * @public
+   * @param {String|DS.Model} type
+   * @param {String} id
+   * @return {Boolean}
+   */
+  isLocalId: function(type, id) {
+    var remoteIdRecord = this.findRemoteIdRecord(type, id);
+
+    return !!remoteIdRecord && !remoteIdRecord.remoteId;
+  },
+
+  /**
+   * Generate an id for a record created offline. Models with the clientId
+   * option get a UUID, other models get a local id which is added to the id
+   * map.
+   *
+   * NOTE: the id map is saved by the next createJob, which is rejected if it
+   * can not be saved.
+   *
+   * @method generateId
+   * @public
+   * @param {DS.Model} type
+   * @return {String}
+   */
+  generateId: function(type) {
+    if(modelOption(this.get('container'), type, 'clientId')) {
+      return generateUUID();
+    }
+
+    var id = generateUniqueId();
+    this.get('idWrites').push(this.create('remoteIdRecord', {
+      typeName: type.typeKey,
+      localId:  id,
+      remoteId: null
+    }));
+
+    return id;
+  },
+
+  /**
+   * Map a local id to the id given by the server.
+   *
+   * @method mapId
+   * @param {String} typeName
+   * @param {String} localId
+   * @param {String} remoteId
+   * @return {Promise}
+   */
+  mapId: function(typeName, localId, remoteId) {
+    var remoteIdRecord = this.findRemoteIdRecord(typeName, localId);
+
+    if(!remoteIdRecord) {
+      return this.create('remoteIdRecord', {
+        typeName: typeName,
+        localId:  localId,
+        remoteId: remoteId
+      });
+    }
+
+    Ember.set(remoteIdRecord, 'remoteId', remoteId);
+    return this.save('remoteIdRecord', remoteIdRecord);
+  },
+
+  /**
+   * Remove local ids which are not referenced by any job or dead job from the
+   * id map. This is called after all the jobs are synced.
+   *
+   * @method collectIds
+   * @return {Promise}
+   */
+  collectIds: function() {
+    var jobs = this.get('jobs').concat(this.get('deadJobs'));
+
+    var remoteIdRecords = this.get('remoteIdRecords').filter(function(remoteIdRecord) {
+      return jobs.some(function(job) {
+        return referencesId(job.record, remoteIdRecord.localId);
+      });
+    });
+
+    return this.saveAll('remoteIdRecord', remoteIdRecords);
+  },
+
+  findRemoteIdRecord: function(type, id) {
+    var typeName = type.typeKey || type;
+
+    return this.get('remoteIdRecords').find(function(record) {
+      return record.typeName === typeName && record.localId === id;
+    });
+  },
+
+  /**
+   * Jobs of a record which are not synced yet, in the order they run. Jobs
+   * created before the record was created on the server have its local id.
+   *
+   * @method jobsFor
+   * @public
+   * @param {String|DS.Model} type
+   * @param {String} id
+   * @return {Array}
+   */
+  jobsFor: function(type, id) {
+    return jobsOfRecord(this, this.get('jobs'), type.typeKey || type, id);
+  },
+
+  findDeadJob: function(id) {
+    var job = this.get('deadJobs').findBy('id', id);
+    Ember.assert('Dead job ' + id + ' does not exist.', job);
+    return job;
+  },
+
+  // CRUD for jobs, deadJobs and remoteIdRecords
+  getAll: function(typeName) {
+    var syncer = this;
+
+    return this.get('collections')[typeName].getAll().then(function(records) {
+      // INFO: records are read in no particular order
+      if(typeName !== 'remoteIdRecord') {
+        records = sortJobs(syncer, records);
+      }
+
+      syncer.set(pluralize(typeName), records);
+      return records;
+    });
+  },
+
+  deleteAll: function(typeName) {
+    this.set(pluralize(typeName), []);
+
+    return notifyChange(this, typeName, this.get('collections')[typeName].clear());
+  },
+
+  deleteById: function(typeName, id) {
+    var records = this.get(pluralize(typeName)).filter(function(record) {
+      return id !== record.id;
+    });
+    this.set(pluralize(typeName), records);
+
+    return notifyChange(this, typeName,
+      this.get('collections')[typeName].remove(id)
+    );
+  },
+
+  create: function(typeName, record) {
+    this.get(pluralize(typeName)).pushObject(record);
+
+    return this.save(typeName, record);
+  },
+
+  // save a record which is changed in place
+  save: function(typeName, record) {
+    var collection = this.get('collections')[typeName];
+
+    return notifyChange(this, typeName, persist(this, typeName, function() {
+      return collection.put(record);
+    }));
+  },
+
+  saveAll: function(typeName, records) {
+    var collection = this.get('collections')[typeName];
+
+    this.set(pluralize(typeName), records);
+
+    return notifyChange(this, typeName, persist(this, typeName, function() {
+      return collection.replaceAll(records);
+    }));
+  },
+});
+
+function createCollection(syncer, typeName, keyFor) {
+  var collection = KeyedStore.create({
+    db:        syncer.get('db'),
+    namespace: getNamespace(typeName)
+  });
+
+  if(keyFor) {
+    collection.keyFor = keyFor;
+  }
+
+  return collection;
+}
+
+function isQueued(syncer, job) {
+  return syncer.get('jobs').isAny('id', job.id);
+}
+
+// later jobs which depend on a job, or on one of its dependent jobs
+function dependentJobs(syncer, job) {
+  var jobs      = syncer.get('jobs');
+  var chain     = [job];
+  var dependent = [];
+
+  // INFO: jobs are in the order they were created
+  jobs.slice(jobs.indexOf(jobs.findBy('id', job.id)) + 1).forEach(function(later) {
+    if(chain.some(isDependency.bind(null, later))) {
+      chain.push(later);
+      dependent.push(later);
+    }
+  });
+
+  return dependent;
+}
+
+// settled once the writes called so far are finished: the offline saves,
+// the ones queued in the collections and the local adapters, then the ones
+// queued in db
+function pendingWrites(syncer) {
+  var writes = trackedWrites(syncer);
+
+  return RSVP.allSettled(writes).then(function() {
+    var collections = syncer.get('collections');
+
+    return RSVP.allSettled(Object.keys(collections).map(function(typeName) {
+      return collections[typeName].get('queue');
+    }));
+
+  }).then(function() {
+    return syncer.get('db.queue');
+
+  }).then(function() {
+    // INFO: writes called meanwhile, e.g. saves flushed at the end of the
+    // run loop, are waited for too
+    var isChanged = trackedWrites(syncer).some(function(write, index) {
+      return write !== writes[index];
+    });
+
+    if(isChanged) {
+      return pendingWrites(syncer);
+    }
+  });
+}
+
+function trackedWrites(syncer) {
+  return [
+    syncer.get('writes'),
+    syncer.get('localAdapter.writes'),
+    syncer.get('baseAdapter.writes')
+  ];
+}
+
+// forget what was read from localforage with the previous key or namespace
+function forgetLocalData(syncer) {
+  [syncer.get('localAdapter'), syncer.get('baseAdapter')].forEach(function(adapter) {
+    if(adapter.get('cache')) {
+      adapter.get('cache').clear();
+    }
+  });
+
+  syncer.setProperties({
+    jobs: [], deadJobs: [], remoteIdRecords: [], cacheMetas: null
+  });
+}
+
+// NOTE: jobs created before namespaces have none
+function isInNamespace(syncer, job) {
+  return (job.namespace || null) === syncer.get('namespace');
+}
+
+function remoteIdRecordKey(remoteIdRecord) {
+  return remoteIdRecord.typeName + '/' + remoteIdRecord.localId;
+}
+
+// INFO: keys are not encrypted, the query is only saved in the value
+function queryRecordKey(queryRecord) {
+  return queryRecord.typeName + '/' + hashString(queryRecord.query);
+}
+
+function cacheMetaKey(cacheMeta) {
+  return cacheMeta.typeName + '/' + cacheMeta.id;
+}
+
+function notifyChange(syncer, typeName, promise) {
+  return promise.then(function(result) {
+    syncer.notifyTabs({ type: 'changed', typeName: typeName });
+    return result;
+  });
+}
+
+// NOTE: jobs saved before sequence numbers are ordered by createdAt
+function sortJobs(syncer, jobs) {
+  var seqs = jobs.map(function(job) { return job.seq || 0; });
+  syncer.set('lastSeq', Math.max.apply(Math, seqs.concat(syncer.get('lastSeq'))));
+
+  return Ember.A(jobs).sortBy('seq', 'createdAt', 'tabId');
+}
+
+function statusNamespace(syncer) {
+  return 'online.fryctoria-status-' + Ember.guidFor(syncer) +
+    ' offline.fryctoria-status-' + Ember.guidFor(syncer);
+}
+
+function pluralize(typeName) {
+  return typeName + 's';
+}
+
+function getNamespace(typeName) {
+  var LocalForageKeyHash = {
+    'job':            'EmberFryctoriaJobs',
+    'deadJob':        'EmberFryctoriaDeadJobs',
+    'remoteIdRecord': 'EmberFryctoriaRemoteIdRecords',
+    'query':          'EmberFryctoriaQueries',
+    'cacheMeta':      'EmberFryctoriaCacheMeta',
+  };
+  return LocalForageKeyHash[typeName];
+}
+
+// errors are saved to localforage, only keep what can be cloned
+function serializeError(error) {
+  error = error || {};
+
+  return {
+    status:  error.status,
+    message: error.message || error.statusText,
+    errors:  error.errors || error.responseJSON
+  };
+}
+
+// an error with the status of a response, the outcome of the request is known
+function hasAnswer(error) {
+  return !!error && typeof error.status === 'number' && error.status !== 0;
+}
+
+function isConflictError(error) {
+  return error && (error.status === 409 || error.status === 412);
+}
+
+// Group consecutive jobs which can be sent in one request to the batch
+// endpoint of their adapter. A job which references a record created in the
+// current batch starts a new batch, since the id of the record is not known
+// before the batch is sent.
+function groupJobs(syncer, jobs) {
+  var store  = syncer.get('mainStore');
+  var groups = [];
+  var batch  = null;
+
+  jobs.forEach(function(job) {
+    var adapter = store.adapterFor(job.typeName);
+
+    if(!canBatch(syncer, adapter, job)) {
+      batch = null;
+      groups.push([job]);
+      return;
+    }
+
+    var isInBatch = batch && batch.adapter === adapter &&
+      batch.jobs.length < syncer.get('maxBatchSize') &&
+      !batch.localIds.some(referencesId.bind(null, job.record));
+
+    if(!isInBatch) {
+      batch = { adapter: adapter, jobs: [], localIds: [] };
+      groups.push(batch.jobs);
+    }
+
+    batch.jobs.push(job);
+    batch.localIds = batch.localIds.concat(createdLocalIds(syncer, job));
+  });
+
+  return groups;
+}
+
+// NOTE: failed jobs and jobs which check conflicts are run alone
+function canBatch(syncer, adapter, job) {
+  var container = syncer.get('container');
+  var type      = syncer.get('mainStore').modelFor(job.typeName);
+  var checksConflicts = job.operation === 'updateRecord' && (
+    modelOption(container, type, 'versionAttribute') ||
+    modelOption(container, type, 'conflictStrategy')
+  );
+
+  return !!adapter.get('supportsBatch') && !job.attempts && !checksConflicts;
+}
+
+// local ids of records created by a job, including embedded records
+function createdLocalIds(syncer, job) {
+  if(job.operation === 'deleteRecord') {
+    return [];
+  }
+
+  return syncer.get('remoteIdRecords').filter(function(remoteIdRecord) {
+    return !remoteIdRecord.remoteId &&
+      referencesId(job.record, remoteIdRecord.localId);
+  }).mapBy('localId');
+}
+
+function batchURL(adapter) {
+  return adapter.get('batchURL') || adapter.urlPrefix() + '/batch';
+}
+
+function serializeOperation(syncer, job) {
+  var store    = syncer.get('mainStore');
+  var type     = store.modelFor(job.typeName);
+  var adapter  = store.adapterFor(job.typeName);
+  var record   = createRecordFromJob(syncer, job, type);
+  var isCreate = job.operation === 'createRecord';
+
+  if(isCreate && syncer.isLocalId(job.typeName, record.get('id'))) {
+    record.set('id', null);
+  }
+
+  var snapshot  = record._createSnapshot();
+  var operation = {
+    op:   { createRecord: 'add', updateRecord: 'replace', deleteRecord: 'remove' }[job.operation],
+    path: adapter.buildURL(type.typeKey, isCreate ? null : snapshot.id, snapshot),
+
+    idempotencyKey: job.idempotencyKey
+  };
+
+  if(job.operation !== 'deleteRecord') {
+    operation.value = {};
+    store.serializerFor(job.typeName).serializeIntoHash(
+      operation.value, type, snapshot, {includeId: isCreate}
+    );
+  }
+
+  return operation;
+}
+
+// PATCH is opt in, servers may not support it
+//
+// NOTE: jobs saved before changedKeys are sent in full
+function canPatch(adapter, job) {
+  var supportsPatch = adapter.get('supportsPatch') === true ||
+    typeof adapter.patchRecord === 'function';
+
+  return supportsPatch && Ember.isArray(job.changedKeys);
+}
+
+// send the attributes and relationships changed offline, the adapter can
+// build the request itself with patchRecord(store, type, snapshot, keys)
+function patchRecord(syncer, adapter, type, snapshot, changedKeys) {
+  var store            = syncer.get('mainStore');
+  var versionAttribute = modelOption(syncer.get('container'), type, 'versionAttribute');
+  var keys             = changedKeys.slice();
+
+  // INFO: the version is always sent to check conflicts on the server
+  if(versionAttribute && keys.indexOf(versionAttribute) === -1) {
+    keys.push(versionAttribute);
+  }
+
+  if(typeof adapter.patchRecord === 'function') {
+    return adapter.patchRecord(store, type, snapshot, keys);
+  }
+
+  var data = partialHash(store.serializerFor(type.typeKey), type, snapshot, keys);
+  var url  = adapter.buildURL(type.typeKey, snapshot.id, snapshot);
+
+  return adapter.ajax(url, 'PATCH', { data: data });
+}
+
+// the decorated adapter sends the idempotency key of the job in the requests
+// made while calling send
+function withIdempotencyKey(adapter, job, send) {
+  var fryctoria = adapter.get('fryctoria');
+
+  fryctoria.idempotencyKey = job.idempotencyKey;
+  try {
+    return send();
+  } finally {
+    fryctoria.idempotencyKey = null;
+  }
+}
+
+// a request sent while offline can not leave the device, e.g. syncUp runs
+// before every save, even offline
+function canReachServer(syncer) {
+  return syncer.get('isOnline') && window.navigator.onLine !== false;
+}
+
+// jobs failed offline may have reached the server, they are not compacted
+// any more so that they are sent again as they are
+function markSent(syncer, jobs) {
+  return RSVP.all(jobs.filter(function(job) {
+    return !job.isSent;
+  }).map(function(job) {
+    job.isSent = true;
+    return syncer.save('job', job);
+  }));
+}
+
+// adapter methods which resolve with the response of a batch
+function respondWith(response) {
+  var respond = function() {
+    return RSVP.resolve(response);
+  };
+
+  return {
+    createRecord: respond,
+    updateRecord: respond,
+    deleteRecord: respond
+  };
+}
+
+function updateStoreId(store, typeName, localId, remoteId) {
+  var record = store.getById(typeName, localId);
+
+  if(!record || localId === remoteId) {
+    return;
+  }
+
+  if(!store.hasRecordForId(typeName, remoteId)) {
+    record.set('id', null);
+    store.updateId(record, {id: remoteId});
+  } else if(!record.get('isDirty')) {
+    record.unloadRecord();
+  }
+}
+
+// Ids of records created offline used to be recognized by their prefix, add
+// the ones of jobs saved before the id map to it
+function migrateLocalIds(syncer) {
+  var jobs = syncer.get('jobs').concat(syncer.get('deadJobs'));
+
+  return RSVP.all(jobs.filterBy('operation', 'createRecord').map(function(job) {
+    var id = String(job.record.id);
+
+    if(id.indexOf('fryctoria') === 0 && !syncer.findRemoteIdRecord(job.typeName, id)) {
+      return syncer.create('remoteIdRecord', {
+        typeName: job.typeName,
+        localId:  id,
+        remoteId: null
+      });
+    }
+  }));
+}
+
+function createRecordFromJob(syncer, job, type) {
+  var remoteId = syncer.resolveId(job.typeName, job.record.id);
+  var record   = createRecordInLocalStore(syncer, type, remoteId);
+
+  record.setupData(deserializeInLocal(syncer, type, job.record));
+  record.eachRelationship(function(name, descriptor) {
+    addRelationshipToRecord(name, descriptor, job.record, record, syncer);
+  }); // load relationships
+
+  return record;
+}
+
+function addRelationshipToRecord(name, descriptor, jobRecord, record, syncer) {
+  var relationship = jobRecord[name];
+  var relationshipId, relationshipIds;
+  var relationshipTypeName = descriptor.type.typeKey;
+  var serializer = syncer.get('mainStore').serializerFor(record.constructor.typeKey);
+
+  if(!relationship) { return; }
+
+  if(isEmbedded(serializer, name)) {
+    var inverse = record.constructor.inverseFor(name);
+    var embeddedRecords = Ember.makeArray(relationship).map(function(data) {
+      return createEmbeddedRecord(syncer, descriptor.type, data, inverse);
+    });
+
+    if(descriptor.kind === 'belongsTo') {
+      record.set(name, embeddedRecords[0]);
+    } else {
+      record.get(descriptor.key).pushObjects(embeddedRecords);
+    }
+
+  } else if(descriptor.kind === 'belongsTo') {
+    var belongsToRecord;
+    // belongsTo
+    relationshipId = relationship;
+    relationshipId = syncer.resolveId(relationshipTypeName, relationshipId);
+    // NOTE: It is possible that the association is deleted in the store
+    // and getById is null, so we create a fake record with the right id
+    belongsToRecord = getOrCreateRecord(syncer, descriptor.type, relationshipId);
+    record.set(name, belongsToRecord);
+
+  } else if(descriptor.kind === 'hasMany') {
+    var hasManyRecords;
+    // hasMany
+    relationshipIds = relationship || [];
+    hasManyRecords = relationshipIds.map(function(id) {
+      var remoteId = syncer.resolveId(relationshipTypeName, id);
+      return getOrCreateRecord(syncer, descriptor.type, remoteId);
+    });
+    record.get(descriptor.key).pushObjects(hasManyRecords);
+  }
+}
+
+// NOTE: embedded records are serialized by the serializer of their own
+// store, so they are created in the main store instead of the local store.
+// Embedded records created offline are sent without id.
+function createEmbeddedRecord(syncer, type, data, inverse) {
+  var remoteId = syncer.resolveId(type, data.id);
+  var record   = type._create({
+    id:        syncer.isLocalId(type, remoteId) ? null : remoteId,
+    store:     syncer.get('mainStore'),
+    container: syncer.get('container'),
+  });
 
-    if(record.get('isDeleted')) {
-      return localAdapter.deleteRecord(localStore, snapshot.type, snapshot);
+  record.setupData(deserializeInLocal(syncer, type, data));
+  record.eachRelationship(function(name, descriptor) {
+    // the parent is set by its embedding relationship
+    if(!inverse || inverse.name !== name) {
+      addRelationshipToRecord(name, descriptor, data, record, syncer);
+    }
+  });
+
+  return record;
+}
+
+// Serialize embedded records into the serialized record of a job. Embedded
+// records created offline get a local id, so that their remote ids can be
+// looked up after syncing, and are saved into localforage like their parent.
+function embedRecords(syncer, snapshot, data) {
+  var store           = syncer.get('mainStore');
+  var serializer      = store.serializerFor(snapshot.typeKey);
+  var localSerializer = syncer.get('localAdapter.serializer');
+  var promises        = [];
+
+  snapshot.type.eachRelationship(function(name, descriptor) {
+    if(!isEmbedded(serializer, name)) { return; }
+
+    if(descriptor.kind === 'belongsTo') {
+      var embeddedSnapshot = snapshot.belongsTo(name);
+      data[name] = embeddedSnapshot ? embed(embeddedSnapshot) : null;
     } else {
-      return localAdapter.createRecord(localStore, snapshot.type, snapshot);
+      data[name] = (snapshot.hasMany(name) || []).map(embed);
     }
-  },
+  });
 
-  /**
-   * Attampt to run all the jobs one by one. Deal with syncing failure.
-   *
-   * @method runAllJobs
-   * @private
-   * @return {Promise}
-   */
-  runAllJobs: function() {
-    var syncer = this;
-    var jobs = this.get('jobs');
+  return RSVP.all(promises);
 
-    if(jobs.length === 0) {
-      Ember.Logger.info('Syncing jobs are empty.');
-      return RSVP.resolve();
+  function embed(embeddedSnapshot) {
+    var record = embeddedSnapshot.record;
+
+    if(!record.get('id')) {
+      store.updateId(record, {id: syncer.generateId(record.constructor)});
     }
 
-    Ember.Logger.info('Syncing started.');
-    jobs = jobs.sortBy('createdAt');
+    var recordSnapshot = record._createSnapshot();
+    var recordData     = localSerializer.serialize(
+      recordSnapshot, {includeId: true}
+    );
 
-    // run jobs one at a time
-    return jobs.reduce(function(acc, job) {
-      return acc.then(function() {
-        return syncer.runJob(job);
-      });
-    }, RSVP.resolve())
+    promises.push(syncer.syncDownRecord(record));
+    promises.push(embedRecords(syncer, recordSnapshot, recordData));
 
-    .then(function() {
-      syncer.deleteAll('remoteIdRecord');
-      Ember.Logger.info('Syncing succeed.');
-    })
+    return recordData;
+  }
+}
 
-    .catch(function(error) {
-      if(syncer.isOffline(error)) {
-        Ember.Logger.info('Can not connect to server, stop syncing');
-      } else if(syncer.handleSyncUpError){
-        return syncer.handleSyncUpError(error);
-      } else {
-        return RSVP.reject(error);
+// Map local ids of embedded records created offline to the ids given by the
+// server. Embedded records are matched by their position in the payload.
+function mapEmbeddedIds(syncer, type, jobRecord, data) {
+  var store      = syncer.get('mainStore');
+  var serializer = store.serializerFor(type.typeKey);
+  var promises   = [];
+
+  type.eachRelationship(function(name, descriptor) {
+    if(!isEmbedded(serializer, name) || !jobRecord[name]) { return; }
+
+    var remoteIds = Ember.makeArray(data[name]);
+
+    Ember.makeArray(jobRecord[name]).forEach(function(embeddedData, index) {
+      var localId  = embeddedData.id;
+      var remoteId = remoteIds[index];
+
+      if(isObject(remoteId)) {
+        remoteId = remoteId.id;
+      }
+
+      if(remoteId && syncer.isLocalId(descriptor.type, localId)) {
+        promises.push(
+          mapEmbeddedId(syncer, descriptor.type, localId, String(remoteId))
+        );
       }
     });
-  },
+  });
 
-  runJob: function(job) {
-    var syncer     = this;
+  return RSVP.all(promises);
+}
 
-    var store      = syncer.get('mainStore');
+function mapEmbeddedId(syncer, type, localId, remoteId) {
+  var store        = syncer.get('mainStore');
+  var localStore   = syncer.get('localStore');
+  var localAdapter = syncer.get('localAdapter');
+  var localRecord  = store.getById(type.typeKey, localId);
+
+  if(localRecord && store.hasRecordForId(type.typeKey, remoteId)) {
+    // INFO: the serializer has pushed the embedded record of the server
+    localRecord.deleteRecord();
+  } else if(localRecord) {
+    localRecord.set('id', null);
+    store.updateId(localRecord, {id: remoteId});
+  }
 
-    var typeName   = job.typeName;
-    var type       = store.modelFor(typeName);
+  return RSVP.all([
+    syncer.mapId(type.typeKey, localId, remoteId),
+    localAdapter.deleteRecord(localStore, type, {id: localId})
+  ]);
+}
 
-    var adapter    = store.adapterFor(typeName);
-    var remoteCRUD = adapter.get('fryctoria');
+function getOrCreateRecord(syncer, type, id) {
+  var mainStore = syncer.get('mainStore');
 
-    var record     = createRecordFromJob(syncer, job, type);
-    var snapshot   = record._createSnapshot();
+  return mainStore.getById(type.typeKey, id) ||
+         createRecordInLocalStore(syncer, type, id);
+}
 
-    var operation  = job.operation;
 
-    var syncedRecord;
+// serialize normalized data the same way as records of jobs
+function serializeInLocal(syncer, type, data) {
+  var record     = createRecordInLocalStore(syncer, type, data.id);
+  var serializer = syncer.get('localAdapter.serializer');
 
-    if(operation === 'deleteRecord') {
-      syncedRecord = remoteCRUD.deleteRecord.call(adapter, store, type, snapshot);
+  record.setupData(data);
+  return serializer.serialize(record._createSnapshot(), {includeId: true});
+}
 
-    } else if(operation === 'updateRecord') {
-      // TODO: make reverse update possible
-      // for now, we do not accept 'reverse update' i.e. update from the server
-      // will not be reflected in the store
-      syncedRecord = remoteCRUD.updateRecord.call(adapter, store, type, snapshot);
+// Records of jobs are serialized, apply transforms to them before setupData,
+// otherwise they would be serialized twice when sent to the server
+function deserializeInLocal(syncer, type, data) {
+  var serializer = syncer.get('localAdapter.serializer');
+  return serializer.normalize(type, Ember.merge({}, data));
+}
 
-    } else if(operation === 'createRecord') {
-      // TODO: make reverse update possible
-      // for now, we do not accept 'reverse update' i.e. update from the server
-      // will not be reflected in the store
-      var recordIdBeforeCreate = record.get('id');
-      record.set('id', null);
-      snapshot = record._createSnapshot();
+// save the working copy of a record in localforage, and its base copy when it
+// is the state of the server
+function cacheRecord(syncer, snapshot, isServerState) {
+  var localStore   = syncer.get('localStore');
+  var localAdapter = syncer.get('localAdapter');
 
-      // adapter -> store -> syncer(remoteId) -> localforage
-      syncedRecord = remoteCRUD.createRecord.call(adapter, store, type, snapshot)
-        .then(updateIdInStore)
-        .then(createRemoteIdRecord)
-        .then(refreshLocalRecord);
-    }
+  if(!syncer.policyFor(snapshot.type).cache) {
+    return RSVP.resolve();
+  }
 
-    // delete from db after syncing success
-    return syncedRecord.then(function() {
-      return syncer.deleteById('job', job.id);
-    });
+  return cacheWith(syncer, snapshot, function() {
+    var writes = [localAdapter.createRecord(localStore, snapshot.type, snapshot)];
 
-    function updateIdInStore(payload) {
-      var recordExtracted = store.serializerFor(type).extract(
-        store, type, payload, record.get('id'), 'single'
+    if(isServerState) {
+      writes.push(
+        writeBase(syncer, snapshot),
+        syncer.touchCache(snapshot.type, snapshot.id)
       );
+    }
 
-      var recordInStore = store.getById(typeName, recordIdBeforeCreate);
+    return RSVP.all(writes);
+  });
+}
 
-      // INFO: recordInStore may be null because it may be deleted
-      if(recordInStore) {
-        recordInStore.set('id', null);
-        store.updateId(recordInStore, recordExtracted);
-      }
+function cacheBase(syncer, snapshot) {
+  if(!syncer.policyFor(snapshot.type).cache) {
+    return RSVP.resolve();
+  }
 
-      return recordExtracted;
-    }
+  return cacheWith(syncer, snapshot, function() {
+    return writeBase(syncer, snapshot);
+  });
+}
 
-    function createRemoteIdRecord(recordExtracted) {
-      return syncer.create('remoteIdRecord', {
-        typeName: typeName,
-        localId:  recordIdBeforeCreate,
-        remoteId: recordExtracted.id
-      }).then(function() {
-        return recordExtracted;
-      });
+function writeBase(syncer, snapshot) {
+  return syncer.get('baseAdapter').createRecord(
+    syncer.get('localStore'), snapshot.type, snapshot
+  );
+}
+
+// caching is best effort, a record which does not fit in the storage quota
+// is not cached
+function cacheWith(syncer, snapshot, write) {
+  return retryOnQuotaError(syncer, write).catch(function(error) {
+    if(!isQuotaError(error)) {
+      return RSVP.reject(error);
     }
 
-    // This method does not talk to store, only to adapter
-    function refreshLocalRecord(recordExtracted) {
-      // NOTE: we should pass snapshot instead of rawRecord to deleteRecord,
-      // in deleteRecord, we only call snapshot.id, we can just pass the
-      // rawRecord to it.
+    Ember.Logger.warn(
+      snapshot.typeKey + ' ' + snapshot.id + ' is not cached, the storage quota is exceeded'
+    );
+  });
+}
 
-      // delete existing record with localId
-      var localStore   = syncer.get('localStore');
-      var localAdapter = syncer.get('localAdapter');
+// collections of syncer must be saved, storageFull is triggered when they
+// do not fit in the storage quota
+function persist(syncer, typeName, write) {
+  return retryOnQuotaError(syncer, write).catch(function(error) {
+    if(!isQuotaError(error)) {
+      return RSVP.reject(error);
+    }
 
-      return localAdapter.deleteRecord(
-        localStore, type, {id: recordIdBeforeCreate}
-      ).then(function() {
+    error = storageFullError(typeName, error);
+    syncer.trigger('storageFull', error);
+    return RSVP.reject(error);
+  });
+}
 
-        // create new record with remoteId
-        record.set('id', recordExtracted.id);
-        var snapshot = record._createSnapshot();
-        return localAdapter.createRecord(localStore, type, snapshot);
-      });
+// write once more after evicting the least recently used records, when the
+// storage quota is exceeded
+function retryOnQuotaError(syncer, write) {
+  return write().catch(function(error) {
+    if(!isQuotaError(error)) {
+      return RSVP.reject(error);
     }
-  },
 
-  // lazy evaluate main store, since main store is initialized after syncer
-  mainStore: Ember.computed(function() {
-    return this.get('container').lookup('store:main');
-  }),
+    return freeSpace(syncer).then(function(evictedCount) {
+      return evictedCount ? write() : RSVP.reject(error);
+    });
+  });
+}
 
-  getRemoteId: function(typeName, id) {
-    Ember.assert('Id can not be blank.', !Ember.isNone(id));
+// evict a share of the evictable records, resolve how many were evicted
+function freeSpace(syncer) {
+  var store = syncer.get('mainStore');
 
-    if(isRemoteId(id)) {
-      return id;
-    }
+  return allCacheMetas(syncer).then(function(metas) {
+    var evictable = evictableMetas(syncer, metas);
+    var evicted   = evictable.slice(0, Math.ceil(evictable.length * QUOTA_EVICTION_RATIO));
 
-    // Try to find a remote id from local id
-    // NOTE: it is possible we are trying to create one record in local
-    // and does not have a remote id yet.
-    var remoteIdRecord = this.get('remoteIdRecords').find(function(record) {
-      return record.typeName === typeName && record.localId === id;
+    return RSVP.all(evicted.map(function(meta) {
+      return syncer.evict(store.modelFor(meta.typeName), meta.id);
+    })).then(function() {
+      return evicted.length;
     });
+  });
+}
 
-    return remoteIdRecord ? remoteIdRecord.remoteId : id;
-  },
+// cacheMetas of the records which can be evicted, least recently used first
+//
+// NOTE: referencesId may find an attribute equal to the id, the record is
+// kept then
+function evictableMetas(syncer, metas) {
+  var jobs = allJobs(syncer);
+
+  return Ember.A(metas.filter(function(meta) {
+    return !jobs.some(function(job) {
+      return referencesId(job.record, meta.id);
+    }) && !jobsOfRecord(syncer, jobs, meta.typeName, meta.id).length;
+  })).sortBy('accessedAt', 'cachedAt');
+}
 
-  // CRUD for jobs and remoteIdRecords
-  getAll: function(typeName) {
-    var syncer = this;
-    var namespace = getNamespace(typeName);
+// jobs and dead jobs, the records they reference are kept in localforage
+function allJobs(syncer) {
+  return syncer.get('jobs').concat(syncer.get('deadJobs'));
+}
 
-    return syncer.get('db').getItem(namespace).then(function(records) {
-      records = records || [];
-      syncer.set(pluralize(typeName), records);
-      return records;
-    });
-  },
+function scheduleBudget(syncer, type) {
+  var hasBudget = syncer.get('maxCachedRecords') !== null ||
+    syncer.policyFor(type).maxRecords !== null;
 
-  deleteAll: function(typeName) {
-    return this.saveAll(typeName, []);
-  },
+  if(!hasBudget) {
+    return;
+  }
 
-  deleteById: function(typeName, id) {
-    var records = this.get(pluralize(typeName)).filter(function(record) {
-      return id !== record.id;
+  syncer.set('isBudgetDue', true);
+
+  if(syncer.get('budgetPromise')) {
+    return;
+  }
+
+  // INFO: records cached in the same run loop are counted at once, and a
+  // single budget runs at a time
+  syncer.set('budgetPromise', RSVP.resolve().then(function() {
+    return runBudget(syncer);
+  }).finally(function() {
+    syncer.set('budgetPromise', null);
+  }));
+}
+
+// enforce the budget until no record was cached meanwhile
+function runBudget(syncer) {
+  syncer.set('isBudgetDue', false);
+
+  return syncer.enforceBudget().catch(function(error) {
+    Ember.Logger.warn('Can not evict the least recently used records', error);
+  }).then(function() {
+    if(syncer.get('isBudgetDue')) {
+      return runBudget(syncer);
+    }
+  });
+}
+
+// the cacheMetas by key, read in localforage once and kept up to date by the
+// writes of this tab, so that each budget does not read all of them again
+function cacheMetaIndex(syncer) {
+  if(syncer.get('cacheMetas')) {
+    return syncer.get('cacheMetas');
+  }
+
+  var reading = syncer.get('collections').cacheMeta.getAll().then(function(metas) {
+    var index = {};
+    metas.forEach(function(meta) {
+      index[cacheMetaKey(meta)] = meta;
     });
+    return index;
+  });
 
-    return this.saveAll(typeName, records);
-  },
+  // INFO: read again the next time, e.g. once unlocked
+  reading.catch(function() {
+    if(syncer.get('cacheMetas') === reading) {
+      syncer.set('cacheMetas', null);
+    }
+  });
 
-  create: function(typeName, record) {
-    var records = this.get(pluralize(typeName));
-    records.push(record);
+  syncer.set('cacheMetas', reading);
+  return reading;
+}
 
-    return this.saveAll(typeName, records);
-  },
+function allCacheMetas(syncer) {
+  return cacheMetaIndex(syncer).then(function(index) {
+    return Object.keys(index).map(function(key) {
+      return index[key];
+    });
+  });
+}
 
-  saveAll: function(typeName, records) {
-    this.set(pluralize(typeName), records);
+// NOTE: records cached by another tab are not in the index, their cacheMeta
+// is read in localforage
+function findCacheMeta(syncer, key) {
+  return cacheMetaIndex(syncer).then(function(index) {
+    if(index[key]) {
+      return index[key];
+    }
 
-    var namespace = getNamespace(typeName);
-    return this.get('db').setItem(namespace, records);
-  },
-});
+    return syncer.get('collections').cacheMeta.find(key).then(function(meta) {
+      if(meta) {
+        index[key] = meta;
+      }
+      return meta;
+    });
+  });
+}
 
-function pluralize(typeName) {
-  return typeName + 's';
+function putCacheMeta(syncer, meta) {
+  var indexing = cacheMetaIndex(syncer).then(function(index) {
+    index[cacheMetaKey(meta)] = meta;
+  });
+
+  return RSVP.all([indexing, syncer.get('collections').cacheMeta.put(meta)]);
 }
 
-function getNamespace(typeName) {
-  var LocalForageKeyHash = {
-    'job':            'EmberFryctoriaJobs',
-    'remoteIdRecord': 'EmberFryctoriaRemoteIdRecords',
-  };
-  return LocalForageKeyHash[typeName];
+function clearCacheMetas(syncer) {
+  var clearing = syncer.get('collections').cacheMeta.clear();
+  syncer.set('cacheMetas', null);
+  return clearing;
 }
 
-function isRemoteId(id) {
-  return id.indexOf('fryctoria') !== 0;
+function removeCacheMeta(syncer, key) {
+  var indexing = cacheMetaIndex(syncer).then(function(index) {
+    delete index[key];
+  });
+
+  return RSVP.all([indexing, syncer.get('collections').cacheMeta.remove(key)]);
 }
 
-function createRecordFromJob(syncer, job, type) {
-  var remoteId = syncer.getRemoteId(job.typeName, job.record.id);
-  var record   = createRecordInLocalStore(syncer, type, remoteId);
+// the serialized record before the changes of a save
+function committedRecord(syncer, snapshot, data) {
+  var serializer = syncer.get('localAdapter.serializer');
+  var committed  = snapshot.record._data;
+  var changed    = changedAttributes(snapshot);
+  var base       = Ember.merge({}, data);
 
-  record.setupData(job.record);
-  record.eachRelationship(function(name, descriptor) {
-    addRelationshipToRecord(name, descriptor, job.record, record, syncer);
-  }); // load relationships
+  snapshot.type.eachAttribute(function(key, meta) {
+    if(changed.indexOf(key) === -1) {
+      return;
+    }
 
-  return record;
+    var value = committed[key];
+    if(meta.type) {
+      value = serializer.transformFor(meta.type).serialize(value);
+    }
+    base[serializer.keyForAttribute(key)] = value;
+  });
+
+  return base;
 }
 
-function addRelationshipToRecord(name, descriptor, jobRecord, record, syncer) {
-  var relationship = jobRecord[name];
-  var relationshipId, relationshipIds;
-  var relationshipTypeName = descriptor.type.typeKey;
+// push a record from localforage into the store
+function pushLocalRecord(syncer, type, id) {
+  var store = syncer.get('mainStore');
 
-  if(!relationship) { return; }
+  return syncer.get('localAdapter').find(syncer.get('localStore'), type, id)
+    .then(function(payload) {
+      payload.fryctoria = true;
+      store.push(type.typeKey, store.serializerFor(type).extract(
+        store, type, payload, id, 'find'
+      ));
+    });
+}
 
-  if(descriptor.kind === 'belongsTo') {
-    var belongsToRecord;
-    // belongsTo
-    relationshipId = relationship;
-    relationshipId = syncer.getRemoteId(relationshipTypeName, relationshipId);
-    // NOTE: It is possible that the association is deleted in the store
-    // and getById is null, so we create a fake record with the right id
-    belongsToRecord = getOrCreateRecord(syncer, descriptor.type, relationshipId);
-    record.set(name, belongsToRecord);
+// jobs of a record, including the ones with its local id
+function jobsOfRecord(syncer, jobs, typeName, id) {
+  return jobs.filter(function(job) {
+    return job.typeName === typeName &&
+      (job.record.id === id || syncer.resolveId(typeName, job.record.id) === id);
+  });
+}
 
-  } else if(descriptor.kind === 'hasMany') {
-    var hasManyRecords;
-    // hasMany
-    relationshipIds = relationship || [];
-    hasManyRecords = relationshipIds.map(function(id) {
-      var remoteId = syncer.getRemoteId(relationshipTypeName, id);
-      return getOrCreateRecord(syncer, descriptor.type, remoteId);
+// the records of the previous namespace are not kept in the store
+//
+// NOTE: records being saved on the server can not be unloaded, they are kept
+function unloadStoreRecords(syncer) {
+  var typeMaps = syncer.get('mainStore').typeMaps;
+
+  Object.keys(typeMaps).forEach(function(key) {
+    typeMaps[key].records.slice().forEach(function(record) {
+      if(record.get('isSaving') || record.get('isDestroyed')) {
+        return;
+      }
+
+      if(record.get('isDirty')) {
+        record.rollback();
+      }
+      record.unloadRecord();
     });
-    record.get(descriptor.key).pushObjects(hasManyRecords);
-  }
+  });
 }
 
-function getOrCreateRecord(syncer, type, id) {
-  var mainStore = syncer.get('mainStore');
+function removeLocalRecord(syncer, typeName, id) {
+  var store  = syncer.get('mainStore');
+  var record = store.getById(typeName, id);
 
-  return mainStore.getById(type.typeKey, id) ||
-         createRecordInLocalStore(syncer, type, id);
+  if(record) {
+    if(record.get('isDirty')) {
+      record.rollback();
+    }
+    record.unloadRecord();
+  }
+
+  return syncer.evict(store.modelFor(typeName), id);
 }
 
+function restoreLocalRecord(syncer, typeName, id, base) {
+  var store       = syncer.get('mainStore');
+  var type        = store.modelFor(typeName);
+  var record      = store.getById(typeName, id);
+  var localRecord = createRecordFromJob(syncer, {typeName: typeName, record: base}, type);
+
+  if(record && record.get('isDirty')) {
+    record.rollback();
+  }
+
+  // INFO: a record deleted offline is not in the store any more, it is
+  // pushed again
+  return syncer.get('localAdapter').createRecord(
+    syncer.get('localStore'), type, localRecord._createSnapshot()
+  ).then(function() {
+    return pushLocalRecord(syncer, type, id);
+  });
+}
 
 function createRecordInLocalStore(syncer, type, id) {
   // after create, the state becomes "root.empty"
@@ -0,0 +1,249 @@
+import Ember from 'ember';
+import generateUniqueId from './utils/generate-unique-id';
+
+var RSVP = Ember.RSVP;
+
+/**
+  Coordinate the tabs of an application, so that only one tab syncs up at a
+  time and the other tabs are told when jobs change.
+
+  The lock is taken with the Web Locks API(navigator.locks), the browser
+  releases it if the tab is closed. When it is not supported, the lock is a
+  lease saved in localStorage as a best-effort fallback: localStorage has no
+  atomic write, two tabs taking the lease at the same time may both get it.
+  The tab holding the lease renews it until it is released, so the lease
+  expires if the tab is closed while syncing.
+
+  Messages are sent with BroadcastChannel, or with storage events when
+  BroadcastChannel is not supported.
+
+  Lease schema:
+  ```
+  {
+    tabId:     { String },
+    expiresAt: { Date }
+  }
+  ```
+
+  @class TabCoordinator
+  @extends Ember.Object
+  @uses Ember.Evented
+ */
+export default Ember.Object.extend(Ember.Evented, {
+  name:          'EmberFryctoria',
+  tabId:         null,
+  leaseDuration: 10000,
+  channel:       null,
+  renewTimer:    null,
+  releaseLock:   null,
+
+  init: function() {
+    var coordinator = this;
+
+    this._super.apply(this, arguments);
+    this.set('tabId', generateUniqueId('tab'));
+
+    if(window.BroadcastChannel) {
+      var channel = new window.BroadcastChannel(this.get('name'));
+      channel.onmessage = function(event) {
+        coordinator.receive(event.data);
+      };
+      this.set('channel', channel);
+
+    } else {
+      Ember.$(window).on(eventNamespace(this), function(event) {
+        var storageEvent = event.originalEvent;
+
+        if(storageEvent.key === messageKey(coordinator) && storageEvent.newValue) {
+          coordinator.receive(JSON.parse(storageEvent.newValue));
+        }
+      });
+    }
+  },
+
+  willDestroy: function() {
+    this.release();
+
+    if(this.get('channel')) {
+      this.get('channel').close();
+    }
+    Ember.$(window).off(eventNamespace(this));
+
+    this._super.apply(this, arguments);
+  },
+
+  /**
+   * Take the lock if no other tab holds it.
+   *
+   * NOTE: when neither navigator.locks nor localStorage is available, there
+   * is no other tab to coordinate with and the lock is always taken.
+   *
+   * @method acquire
+   * @public
+   * @return {Promise} resolve true if this tab holds the lock
+   */
+  acquire: function() {
+    var coordinator = this;
+    var locks       = window.navigator.locks;
+
+    if(this.get('releaseLock')) {
+      return RSVP.resolve(true);
+    }
+
+    if(!locks) {
+      return RSVP.resolve(acquireLease(this));
+    }
+
+    return new RSVP.Promise(function(resolve, reject) {
+      locks.request(lockName(coordinator), { ifAvailable: true }, function(lock) {
+        if(!lock) {
+          Ember.run(null, resolve, false);
+          return;
+        }
+
+        // INFO: the lock is held until this promise is resolved by release
+        return new window.Promise(function(releaseLock) {
+          coordinator.set('releaseLock', releaseLock);
+          Ember.run(null, resolve, true);
+        });
+      }).catch(function(error) {
+        Ember.run(null, reject, error);
+      });
+    });
+  },
+
+  /**
+   * Release the lock if this tab holds it.
+   *
+   * @method release
+   * @public
+   */
+  release: function() {
+    // INFO: the lock is released when destroying
+    if(this.get('isDestroyed')) {
+      return;
+    }
+
+    var releaseLock = this.get('releaseLock');
+    if(releaseLock) {
+      this.set('releaseLock', null);
+      releaseLock();
+      return;
+    }
+
+    var lease = readItem(leaseKey(this));
+
+    window.clearInterval(this.get('renewTimer'));
+    this.set('renewTimer', null);
+
+    if(lease && lease.tabId === this.get('tabId')) {
+      removeItem(leaseKey(this));
+    }
+  },
+
+  /**
+   * Send a message to the other tabs, they trigger a message event with it.
+   *
+   * @method broadcast
+   * @public
+   * @param {Object} message
+   */
+  broadcast: function(message) {
+    var envelope = {
+      tabId:  this.get('tabId'),
+      sentAt: (new Date()).getTime(),
+      data:   message
+    };
+
+    if(this.get('channel')) {
+      this.get('channel').postMessage(envelope);
+    } else {
+      writeItem(messageKey(this), envelope);
+    }
+  },
+
+  receive: function(envelope) {
+    if(this.get('isDestroyed') || envelope.tabId === this.get('tabId')) {
+      return;
+    }
+
+    Ember.run(this, 'trigger', 'message', envelope.data);
+  },
+});
+
+function lockName(coordinator) {
+  return coordinator.get('name') + 'SyncLock';
+}
+
+function acquireLease(coordinator) {
+  var tabId = coordinator.get('tabId');
+  var lease = readItem(leaseKey(coordinator));
+
+  if(lease && lease.tabId !== tabId && lease.expiresAt > (new Date()).getTime()) {
+    return false;
+  }
+
+  if(!writeLease(coordinator)) {
+    return true;
+  }
+
+  // another tab may have written its lease at the same time, this does not
+  // catch all of them
+  lease = readItem(leaseKey(coordinator));
+  if(!lease || lease.tabId !== tabId) {
+    return false;
+  }
+
+  if(!coordinator.get('renewTimer')) {
+    coordinator.set('renewTimer', window.setInterval(function() {
+      writeLease(coordinator);
+    }, coordinator.get('leaseDuration') / 2));
+  }
+
+  return true;
+}
+
+function leaseKey(coordinator) {
+  return coordinator.get('name') + 'SyncLease';
+}
+
+function messageKey(coordinator) {
+  return coordinator.get('name') + 'Message';
+}
+
+function eventNamespace(coordinator) {
+  return 'storage.fryctoria-tab-' + Ember.guidFor(coordinator);
+}
+
+function writeLease(coordinator) {
+  return writeItem(leaseKey(coordinator), {
+    tabId:     coordinator.get('tabId'),
+    expiresAt: (new Date()).getTime() + coordinator.get('leaseDuration')
+  });
+}
+
+// INFO: localStorage may be disabled, e.g. in private browsing
+function readItem(key) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch(error) {
+    return null;
+  }
+}
+
+function writeItem(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch(error) {
+    return false;
+  }
+}
+
+function removeItem(key) {
+  try {
+    window.localStorage.removeItem(key);
+  } catch(error) {
+    // nothing to release
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Names of the attributes changed in a save. This is used in the adapter, when
+ * the changes have been moved to the in flight attributes of the record.
+ *
+ * @method changedAttributes
+ * @param {DS.Snapshot} snapshot
+ * @return {Array}
+ */
+export default function changedAttributes(snapshot) {
+  var record = snapshot.record;
+  return Object.keys(record._inFlightAttributes || {});
+}
@@ -0,0 +1,44 @@
+/**
+ * Names of the relationships changed since the record was last committed.
+ * The current members of each relationship are compared with its canonical
+ * members.
+ *
+ * NOTE: this uses the private relationship state of ember-data.
+ *
+ * @method changedRelationships
+ * @param {DS.Snapshot} snapshot
+ * @return {Array}
+ */
+export default function changedRelationships(snapshot) {
+  var record        = snapshot.record;
+  var relationships = record._relationships || {};
+  var changed       = [];
+
+  record.eachRelationship(function(name, descriptor) {
+    var relationship = relationships[name];
+
+    if(!relationship) {
+      return;
+    }
+
+    var isChanged = descriptor.kind === 'belongsTo' ?
+      (relationship.inverseRecord || null) !== (relationship.canonicalState || null) :
+      !isSameMembers(relationship.members, relationship.canonicalMembers);
+
+    if(isChanged) {
+      changed.push(name);
+    }
+  });
+
+  return changed;
+}
+
+function isSameMembers(members, canonicalMembers) {
+  var current   = members ? members.toArray() : [];
+  var canonical = canonicalMembers ? canonicalMembers.toArray() : [];
+
+  return current.length === canonical.length &&
+    current.every(function(record, index) {
+      return record === canonical[index];
+    });
+}
@@ -0,0 +1,102 @@
+import Ember from 'ember';
+import referencesId from './references-id';
+
+/**
+ * Compact a queue of jobs so that each record is synced with as few requests
+ * as possible:
+ *
+ * - createRecord + updateRecord(s) -> createRecord with the final state
+ * - updateRecord + updateRecord    -> updateRecord with the final state
+ * - createRecord + deleteRecord    -> nothing
+ * - updateRecord + deleteRecord    -> deleteRecord
+ *
+ * A job is only merged into an earlier one when it does not reference a
+ * record created in between, otherwise the merged job would be replayed
+ * before the record it depends on exists on the server. For the same reason
+ * a create and a delete are only dropped when no other job references the
+ * record.
+ *
+ * Jobs which may have reached the server(isSent) are kept as they are, they
+ * are sent again with the same idempotency key.
+ *
+ * @method compactJobs
+ * @param {Array} jobs
+ * @return {Array} a new array of jobs sorted by seq
+ */
+export default function compactJobs(jobs) {
+  var compacted = [];
+
+  Ember.A(jobs).sortBy('seq', 'createdAt', 'tabId').forEach(function(job) {
+    var chain    = compacted.filter(isSameRecord.bind(null, job));
+    var previous = chain[chain.length - 1];
+
+    if(!previous) {
+      compacted.push(job);
+
+    } else if(job.operation === 'updateRecord') {
+      var previousIndex = compacted.indexOf(previous);
+      var createdIds    = createdIdsAfter(compacted, previousIndex);
+      var isMergeable   = previous.operation !== 'deleteRecord' && !previous.isSent &&
+        !createdIds.some(referencesId.bind(null, job.record));
+
+      if(isMergeable) {
+        compacted[previousIndex] = mergeJobs(previous, job);
+      } else {
+        compacted.push(job);
+      }
+
+    } else if(job.operation === 'deleteRecord') {
+      var others = compacted.filter(function(other) {
+        return !isSameRecord(job, other);
+      });
+      var isReferenced = others.some(function(other) {
+        return referencesId(other.record, job.record.id);
+      });
+
+      var isSent = chain.some(function(other) { return other.isSent; });
+
+      if(chain[0].operation === 'createRecord' && !isReferenced && !isSent) {
+        // the server never knew about this record
+        compacted = others;
+      } else {
+        // updates are useless since the record is going to be deleted
+        compacted = compacted.filter(function(other) {
+          return !isSameRecord(job, other) || other.operation !== 'updateRecord' || other.isSent;
+        });
+        // keep the state before the first change of the record
+        compacted.push(chain[0].base ? Ember.merge({ base: chain[0].base }, job) : job);
+      }
+
+    } else {
+      compacted.push(job);
+    }
+  });
+
+  return compacted;
+}
+
+function isSameRecord(job, other) {
+  return job.typeName === other.typeName && job.record.id === other.record.id;
+}
+
+function createdIdsAfter(jobs, index) {
+  return jobs.slice(index + 1).filterBy('operation', 'createRecord')
+    .map(function(job) { return job.record.id; });
+}
+
+// keep id, operation, seq, createdAt, tabId and version of the earlier job,
+// use the latest state
+function mergeJobs(previous, job) {
+  var merged = Ember.merge(Ember.merge({}, previous), { record: job.record });
+
+  // INFO: a job without changedKeys is sent in full, and so is the merged job
+  if(previous.operation === 'updateRecord') {
+    var isPartial = Ember.isArray(previous.changedKeys) && Ember.isArray(job.changedKeys);
+
+    merged.changedKeys = isPartial ?
+      Ember.A(previous.changedKeys.concat(job.changedKeys)).uniq() :
+      undefined;
+  }
+
+  return merged;
+}
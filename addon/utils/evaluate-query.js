@@ -0,0 +1,79 @@
+import Ember from 'ember';
+
+var PAGINATION_KEYS = ['sort', 'limit', 'offset', 'page', 'perPage'];
+
+/**
+ * Evaluate a query on records saved in localforage, it is used when a query
+ * was never sent to the server. Keys of the query are:
+ *
+ * - an attribute: keep records whose attribute equals the value, or is one
+ *   of the values when it is an array
+ * - sort: attribute names separated by commas, prefixed with '-' for a
+ *   descending order, e.g. '-createdAt,name'
+ * - offset and limit, or page(from 1) and perPage
+ *
+ * Other keys are ignored.
+ *
+ * @method evaluateQuery
+ * @param {Array} records serialized records
+ * @param {Object} query
+ * @param {DS.Model} type
+ * @return {Array}
+ */
+export default function evaluateQuery(records, query, type) {
+  query = query || {};
+
+  var attributes = [];
+  type.eachAttribute(function(name) {
+    attributes.push(name);
+  });
+
+  var filterKeys = Object.keys(query).filter(function(key) {
+    return attributes.indexOf(key) !== -1 && PAGINATION_KEYS.indexOf(key) === -1;
+  });
+
+  var result = records.filter(function(record) {
+    return filterKeys.every(function(key) {
+      var values = Ember.makeArray(query[key]).map(String);
+      return values.indexOf(String(record[key])) !== -1;
+    });
+  });
+
+  if(query.sort) {
+    result = sortRecords(result, query.sort);
+  }
+
+  var offset = Number(query.offset) || 0;
+  var limit  = Number(query.limit);
+
+  if(query.page && query.perPage) {
+    limit  = Number(query.perPage);
+    offset = (Number(query.page) - 1) * limit;
+  }
+
+  return result.slice(offset, limit ? offset + limit : undefined);
+}
+
+function sortRecords(records, sort) {
+  var orders = sort.split(',').map(function(key) {
+    key = key.trim();
+    var isDescending = key.charAt(0) === '-';
+
+    return {
+      key:       isDescending ? key.slice(1) : key,
+      direction: isDescending ? -1 : 1
+    };
+  });
+
+  return records.slice().sort(function(a, b) {
+    for(var i = 0; i < orders.length; i++) {
+      var order  = orders[i];
+      var result = Ember.compare(a[order.key], b[order.key]);
+
+      if(result !== 0) {
+        return result * order.direction;
+      }
+    }
+    return 0;
+  });
+}
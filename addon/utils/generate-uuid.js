@@ -0,0 +1,37 @@
+/**
+ * Random values come from crypto.getRandomValues when it is available,
+ * Math.random is not random enough for keys which must never collide.
+ *
+ * @return { String } a RFC4122 version 4 UUID
+ */
+export default function generateUUID() {
+  var randoms = randomNibbles(32);
+  var index   = 0;
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    var random = randoms[index++];
+    var value  = c === 'x' ? random : (random & 0x3 | 0x8);
+    return value.toString(16);
+  });
+}
+
+// random numbers from 0 to 15
+function randomNibbles(count) {
+  var crypto = window.crypto || window.msCrypto;
+  var bytes  = [];
+  var i;
+
+  if(crypto && crypto.getRandomValues) {
+    bytes = crypto.getRandomValues(new Uint8Array(count));
+  } else {
+    for(i = 0; i < count; i++) {
+      bytes.push(Math.random() * 256 | 0);
+    }
+  }
+
+  var nibbles = [];
+  for(i = 0; i < count; i++) {
+    nibbles.push(bytes[i] & 0xf);
+  }
+  return nibbles;
+}
@@ -0,0 +1,16 @@
+/**
+ * Read options of ember-fryctoria in config/environment.js of the app:
+ * ```
+ * ENV['ember-fryctoria'] = {
+ *   autoSync: { interval: 60000 }
+ * };
+ * ```
+ *
+ * @method getConfig
+ * @param {Ember.Container} container
+ * @return {Object}
+ */
+export default function getConfig(container) {
+  var config = container.lookupFactory('config:environment');
+  return (config && config['ember-fryctoria']) || {};
+}
@@ -0,0 +1,30 @@
+/**
+ * A 64 bits hash of a string, made of two 32 bits hashes (FNV-1a and the one
+ * of Java strings). It is not a cryptographic hash, two strings can have the
+ * same hash.
+ *
+ * @method hashString
+ * @param {String} string
+ * @return {String} 16 hexadecimal digits
+ */
+export default function hashString(string) {
+  var fnv  = 0x811c9dc5;
+  var java = 0;
+
+  for(var i = 0; i < string.length; i++) {
+    var code = string.charCodeAt(i);
+
+    // INFO: fnv * 16777619, without Math.imul
+    fnv ^= code;
+    fnv += (fnv << 1) + (fnv << 4) + (fnv << 7) + (fnv << 8) + (fnv << 24);
+    fnv |= 0;
+
+    java = ((java << 5) - java + code) | 0;
+  }
+
+  return toHex(fnv) + toHex(java);
+}
+
+function toHex(hash) {
+  return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+}
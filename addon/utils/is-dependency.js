@@ -0,0 +1,19 @@
+import referencesId from './references-id';
+
+/**
+ * Check if a job has to run after an earlier job: it changes the same
+ * record, or it references the record created by the earlier job.
+ *
+ * @method isDependency
+ * @param {Object} job
+ * @param {Object} earlier a job created before job
+ * @return {Boolean}
+ */
+export default function isDependency(job, earlier) {
+  var isSameRecord = job.typeName === earlier.typeName &&
+    job.record.id === earlier.record.id;
+  var isCreated = earlier.operation === 'createRecord' &&
+    referencesId(job.record, earlier.record.id);
+
+  return isSameRecord || isCreated;
+}
@@ -0,0 +1,14 @@
+/**
+ * Check if a relationship is serialized as embedded records, i.e. the
+ * serializer uses DS.EmbeddedRecordsMixin with `serialize: 'records'` or
+ * `embedded: 'always'` for this key.
+ *
+ * @method isEmbedded
+ * @param {DS.Serializer} serializer
+ * @param {String} key name of the relationship
+ * @return {Boolean}
+ */
+export default function isEmbedded(serializer, key) {
+  return typeof serializer.hasSerializeRecordsOption === 'function' &&
+    !!serializer.hasSerializeRecordsOption(key);
+}
@@ -0,0 +1,18 @@
+/**
+ * Check if an error of localforage means that the storage quota is exceeded.
+ * Browsers name it differently, old ones only set a code.
+ *
+ * @method isQuotaError
+ * @param {Error} error
+ * @return {Boolean}
+ */
+export default function isQuotaError(error) {
+  if(!error) {
+    return false;
+  }
+
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
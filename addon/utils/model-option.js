@@ -0,0 +1,28 @@
+import getConfig from './get-config';
+
+/**
+ * Read an option of ember-fryctoria for a model. It is read from the model
+ * class first, then from ENV['ember-fryctoria'].models:
+ * ```
+ * User.reopenClass({ versionAttribute: 'updatedAt' });
+ *
+ * ENV['ember-fryctoria'] = {
+ *   models: { user: { versionAttribute: 'updatedAt' } }
+ * };
+ * ```
+ *
+ * @method modelOption
+ * @param {Ember.Container} container
+ * @param {DS.Model} type
+ * @param {String} name
+ * @return {any}
+ */
+export default function modelOption(container, type, name) {
+  if(type[name] !== undefined) {
+    return type[name];
+  }
+
+  var models = getConfig(container).models || {};
+  var config = models[type.typeKey] || {};
+  return config[name];
+}
@@ -0,0 +1,27 @@
+/**
+ * Serialize a query with sorted keys, so that the same query always gives
+ * the same string, e.g. `{b: 1, a: 2}` and `{a: 2, b: 1}`.
+ *
+ * @method normalizeQuery
+ * @param {Object} query
+ * @return {String}
+ */
+export default function normalizeQuery(query) {
+  return JSON.stringify(sortKeys(query || {}));
+}
+
+function sortKeys(value) {
+  if(Array.isArray(value)) {
+    return value.map(sortKeys);
+
+  } else if(value !== null && typeof value === 'object') {
+    var sorted = {};
+    Object.keys(value).sort().forEach(function(key) {
+      sorted[key] = sortKeys(value[key]);
+    });
+    return sorted;
+
+  } else {
+    return value;
+  }
+}
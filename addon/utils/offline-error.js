@@ -0,0 +1,22 @@
+/**
+ * Error of an operation which is not allowed offline by the offline policy
+ * of a model.
+ *
+ * @method offlineError
+ * @param {String} operation read, createRecord, updateRecord or deleteRecord
+ * @param {String} typeName
+ * @param {String} reason
+ * @return {Error}
+ */
+export default function offlineError(operation, typeName, reason) {
+  var error = new Error(
+    operation + ' of ' + typeName + ' is not allowed offline' +
+    (reason ? ': ' + reason : '')
+  );
+
+  error.name      = 'OfflineNotAllowedError';
+  error.operation = operation;
+  error.typeName  = typeName;
+
+  return error;
+}
@@ -0,0 +1,59 @@
+import Ember from 'ember';
+import modelOption from './model-option';
+
+var DEFAULT_POLICY = {
+  read:       true, // find records in localforage when offline
+  cache:      true, // save records into localforage
+  create:     true, // create records offline
+  update:     true, // update records offline
+  delete:     true, // delete records offline
+  priority:   0,    // jobs with a higher priority are synced first
+  ttl:        null, // in ms, records cached for longer are evicted
+  maxAge:     null, // in ms, records cached for longer are stale
+  maxRecords: null  // max cached records, the least recently used are evicted
+};
+
+var SHORTHANDS = {
+  // nothing is saved into localforage, nothing works offline
+  'none': {
+    read: false, cache: false, create: false, update: false, delete: false
+  },
+  // records can be read offline, but not changed
+  'read-only': {
+    create: false, update: false, delete: false
+  }
+};
+
+/**
+ * Read the offline policy of a model, from its `offline` option:
+ * ```
+ * Payment.reopenClass({
+ *   offline: 'read-only'
+ * });
+ *
+ * ENV['ember-fryctoria'] = {
+ *   models: { payment: { offline: { update: false, priority: 10 } } }
+ * };
+ * ```
+ * The option is an object which overrides the default policy, 'read-only',
+ * 'none', or false which is the same as 'none'.
+ *
+ * @method offlinePolicy
+ * @param {Ember.Container} container
+ * @param {DS.Model} type
+ * @return {Object}
+ */
+export default function offlinePolicy(container, type) {
+  var option = modelOption(container, type, 'offline');
+
+  if(option === false) {
+    option = 'none';
+  }
+
+  if(typeof option === 'string') {
+    Ember.assert('Unknown offline policy: ' + option, SHORTHANDS[option]);
+    option = SHORTHANDS[option];
+  }
+
+  return Ember.merge(Ember.merge({}, DEFAULT_POLICY), option || {});
+}
@@ -0,0 +1,56 @@
+import Ember from 'ember';
+import isObject from './is-object';
+
+/**
+ * Serialize a snapshot into a hash like serializer#serializeIntoHash, but only
+ * with some of its attributes and relationships. This is the body of a PATCH
+ * request.
+ *
+ * @method partialHash
+ * @param {DS.Serializer} serializer
+ * @param {DS.Model} type
+ * @param {DS.Snapshot} snapshot
+ * @param {Array} names names of the attributes and relationships to keep
+ * @return {Object}
+ */
+export default function partialHash(serializer, type, snapshot, names) {
+  var hash = {};
+  serializer.serializeIntoHash(hash, type, snapshot);
+
+  // INFO: REST serializers put the record under a root key
+  var rootKeys = Object.keys(hash);
+  var isRooted = rootKeys.length === 1 && isObject(hash[rootKeys[0]]) &&
+    !Ember.get(type, 'fields').has(rootKeys[0]);
+  var data     = isRooted ? hash[rootKeys[0]] : hash;
+
+  var keys = names.map(function(name) {
+    return serializedKey(serializer, type, name);
+  });
+
+  Object.keys(data).forEach(function(key) {
+    if(keys.indexOf(key) === -1) {
+      delete data[key];
+    }
+  });
+
+  return hash;
+}
+
+function serializedKey(serializer, type, name) {
+  var attrs  = serializer.get('attrs');
+  var option = attrs && attrs[name];
+  var key    = typeof option === 'string' ? option : option && option.key;
+
+  if(key) {
+    return key;
+  }
+
+  var relationship = Ember.get(type, 'relationshipsByName').get(name);
+
+  if(relationship) {
+    return serializer.keyForRelationship ?
+      serializer.keyForRelationship(name, relationship.kind) : name;
+  }
+
+  return serializer.keyForAttribute ? serializer.keyForAttribute(name) : name;
+}
@@ -0,0 +1,83 @@
+import isDependency from './is-dependency';
+
+/**
+ * Sort jobs by priority, from the highest. A job is never moved before an
+ * earlier job of the same record, or before the job creating a record it
+ * references.
+ *
+ * @method prioritizeJobs
+ * @param {Array} jobs jobs in the order they were created
+ * @param {Function} priorityFor function(job) which returns a number
+ * @return {Array} a new array of jobs
+ */
+export default function prioritizeJobs(jobs, priorityFor) {
+  var priorities = jobs.map(function(job) {
+    return priorityFor(job);
+  });
+
+  // INFO: jobs keep the order they were created in
+  var isSamePriority = priorities.every(function(priority) {
+    return priority === priorities[0];
+  });
+  if(isSamePriority) {
+    return jobs.slice();
+  }
+
+  var graph       = dependencyGraph(jobs);
+  var prioritized = [];
+  var ready       = [];
+
+  graph.blockerCounts.forEach(function(count, index) {
+    if(count === 0) {
+      ready.push(index);
+    }
+  });
+
+  while(ready.length) {
+    var next = nextIndex(ready, priorities);
+
+    ready.splice(ready.indexOf(next), 1);
+    prioritized.push(jobs[next]);
+
+    ready = ready.concat(unblock(graph, next));
+  }
+
+  return prioritized;
+}
+
+// for each job, the number of earlier jobs it depends on and the later jobs
+// which depend on it
+function dependencyGraph(jobs) {
+  var blockerCounts = jobs.map(function() { return 0; });
+  var dependents    = jobs.map(function() { return []; });
+
+  jobs.forEach(function(job, index) {
+    for(var earlier = 0; earlier < index; earlier++) {
+      if(isDependency(job, jobs[earlier])) {
+        blockerCounts[index]++;
+        dependents[earlier].push(index);
+      }
+    }
+  });
+
+  return { blockerCounts: blockerCounts, dependents: dependents };
+}
+
+// indexes of the jobs which can run once the job at index has run
+function unblock(graph, index) {
+  return graph.dependents[index].filter(function(dependent) {
+    graph.blockerCounts[dependent]--;
+    return graph.blockerCounts[dependent] === 0;
+  });
+}
+
+// the first job with the highest priority among jobs which can run now
+function nextIndex(ready, priorities) {
+  return ready.reduce(function(best, index) {
+    var priority = priorities[index];
+    var isBetter = priority > priorities[best] ||
+      (priority === priorities[best] && index < best);
+
+    return isBetter ? index : best;
+  });
+}
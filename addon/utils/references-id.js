@@ -0,0 +1,25 @@
+/**
+ * Check if a serialized record references an id anywhere in its payload,
+ * e.g. in a belongsTo, a hasMany or an embedded record.
+ *
+ * NOTE: only use it with generated ids, a plain attribute could be equal to
+ * a short numeric id.
+ *
+ * @method referencesId
+ * @param {Object} record serialized record
+ * @param {String} id
+ * @return {Boolean}
+ */
+export default function referencesId(record, id) {
+  if(record === null || record === undefined) {
+    return false;
+
+  } else if(typeof record === 'object') {
+    return Object.keys(record).some(function(key) {
+      return referencesId(record[key], id);
+    });
+
+  } else {
+    return String(record) === String(id);
+  }
+}
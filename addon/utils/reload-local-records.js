@@ -15,6 +15,8 @@ export default function reloadLocalRecords(container, type) {
 
   var localStore   = container.lookup('store:local');
   var localAdapter = localStore.get('adapter');
+  var baseAdapter  = localStore.get('baseAdapter');
+  var syncer       = container.lookup('syncer:main');
 
   var reloadedRecords = localAdapter.findAll(localStore, modelType)
     .then(deleteAll)
@@ -33,11 +35,26 @@ export default function reloadLocalRecords(container, type) {
   function createAll() {
     var records = store.all(type);
     var createdRecords = records.map(function(record) {
-      return createLocalRecord(localAdapter, localStore, modelType, record);
+      return createLocalRecord(localAdapter, localStore, modelType, record)
+        .then(function() {
+          if(isServerState(record)) {
+            return RSVP.all([
+              createLocalRecord(baseAdapter, localStore, modelType, record),
+              syncer.touchCache(modelType, record.get('id'))
+            ]);
+          }
+        });
     });
 
     return RSVP.all(createdRecords);
   }
+
+  // INFO: records read in localforage keep the time they were cached,
+  // records changed offline keep their base copy
+  function isServerState(record) {
+    var id = record.get('id');
+    return id && !record.get('fryctoria') && !syncer.jobsFor(modelType, id).length;
+  }
 }
 
 function createLocalRecord(localAdapter, localStore, modelType, record) {
@@ -0,0 +1,60 @@
+import Ember from 'ember';
+
+var RSVP = Ember.RSVP;
+
+/**
+ * Strategies to resolve a conflict between the record of an update job and
+ * the record on the server. Records are serialized by the local serializer.
+ * A strategy returns the record to send to the server, or null to drop the
+ * job and keep the record on the server.
+ */
+var strategies = {
+  'client-wins': function(serverRecord, clientRecord, job, type, versionAttribute) {
+    var record = Ember.merge({}, clientRecord);
+
+    if(versionAttribute) {
+      record[versionAttribute] = serverRecord[versionAttribute];
+    }
+
+    return record;
+  },
+
+  'server-wins': function() {
+    return null;
+  },
+
+  // attributes changed offline win, others are taken from the server
+  'merge': function(serverRecord, clientRecord, job, type) {
+    var changedKeys = job.changedKeys || [];
+    var record      = Ember.merge({}, clientRecord);
+
+    type.eachAttribute(function(name) {
+      if(changedKeys.indexOf(name) === -1) {
+        record[name] = serverRecord[name];
+      }
+    });
+
+    return record;
+  }
+};
+
+/**
+ * @method resolveConflict
+ * @param {String|Function} strategy one of 'client-wins', 'server-wins',
+ *  'merge' or a function(serverRecord, clientRecord, job) which returns a
+ *  record, null or a promise.
+ * @param {Object} serverRecord
+ * @param {Object} job
+ * @param {DS.Model} type
+ * @param {String} versionAttribute
+ * @return {Promise} resolved record, null if the server wins
+ */
+export default function resolveConflict(strategy, serverRecord, job, type, versionAttribute) {
+  var resolve = typeof strategy === 'function' ? strategy : strategies[strategy];
+
+  Ember.assert('Unknown conflict strategy: ' + strategy, resolve);
+
+  return RSVP.resolve(
+    resolve(serverRecord, job.record, job, type, versionAttribute)
+  );
+}
@@ -0,0 +1,20 @@
+/**
+ * Error of a collection of syncer, e.g. jobs, which can not be saved in
+ * localforage because the storage quota is exceeded.
+ *
+ * @method storageFullError
+ * @param {String} typeName job, deadJob or remoteIdRecord
+ * @param {Error} cause the error of localforage
+ * @return {Error}
+ */
+export default function storageFullError(typeName, cause) {
+  var error = new Error(
+    typeName + ' can not be saved in localforage, the storage quota is exceeded'
+  );
+
+  error.name     = 'StorageFullError';
+  error.typeName = typeName;
+  error.cause    = cause;
+
+  return error;
+}
@@ -17,6 +17,7 @@ module.exports = function(app) {
   var morgan  = require('morgan');
   app.use(morgan('dev'));
   app.use(bodyParser.json());
+  app.use(require('./mocks/idempotency').middleware);
 
   mocks.forEach(function(route) { route(app); });
   proxies.forEach(function(route) { route(app); });
@@ -0,0 +1,34 @@
+// Requests sent again with the same Idempotency-Key header get the response
+// of the first one, e.g. a create replayed after its response was lost does
+// not create the record twice.
+var responses = {};
+
+function idempotency(req, res, next) {
+  var key = req.get('Idempotency-Key');
+
+  if(!key || req.method === 'GET') {
+    next();
+    return;
+  }
+
+  var response = responses[key];
+  if(response) {
+    res.status(response.status).send(response.body);
+    return;
+  }
+
+  var send = res.send;
+  res.send = function(body) {
+    // INFO: send is called again by express to send json
+    if(!responses[key]) {
+      responses[key] = { status: res.statusCode, body: body };
+    }
+    return send.apply(res, arguments);
+  };
+
+  next();
+}
+
+// NOTE: the middleware is used before the other mocks, see server/index.js
+module.exports = function() {};
+module.exports.middleware = idempotency;
@@ -0,0 +1,57 @@
+var notes = [];
+
+module.exports = function(app) {
+  var express = require('express');
+  var notesRouter = express.Router();
+
+  notesRouter.get('/', function(req, res) {
+    res.send({
+      'notes': notes.filter(Boolean)
+    });
+  });
+
+  notesRouter.post('/', function(req, res) {
+    var note = req.body.note;
+    note.id  = notes.length + 1;
+    note.version = 1;
+    notes.push(note);
+
+    res.status(201);
+    res.send({
+      'notes': note
+    });
+  });
+
+  notesRouter.get('/:id', function(req, res) {
+    res.send({
+      'notes': notes[+req.params.id - 1]
+    });
+  });
+
+  // optimistic locking: the version must be the one on the server
+  notesRouter.put('/:id', function(req, res) {
+    var id        = req.params.id;
+    var note      = req.body.note;
+    var savedNote = notes[+id - 1];
+
+    if(!savedNote || +note.version !== savedNote.version) {
+      res.status(409).end();
+      return;
+    }
+
+    note.id      = id;
+    note.version = savedNote.version + 1;
+    notes[+id - 1] = note;
+
+    res.send({
+      'notes': note
+    });
+  });
+
+  notesRouter.delete('/:id', function(req, res) {
+    delete notes[+req.params.id - 1];
+    res.status(204).end();
+  });
+
+  app.use('/notes', notesRouter);
+};
@@ -0,0 +1,102 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: Invoice Embedded Line Items', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('replays embedded records created offline', function(done) {
+    var invoiceId = '2001';
+    var lineItemIds = ['3001', '3002'];
+    var invoicePromise, invoiceLocalId, lineItemLocalIds, requestBody;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      var invoice = store.createRecord('invoice', {number: 'embedded-1'});
+      invoice.get('lineItems').pushObjects([
+        store.createRecord('line-item', {description: 'Apples',  amount: 2}),
+        store.createRecord('line-item', {description: 'Oranges', amount: 3})
+      ]);
+      invoicePromise = invoice.save();
+    });
+
+    invoicePromise.then(function(invoice) {
+      invoiceLocalId = invoice.get('id');
+
+      var job = syncer.get('jobs').find(function(job) {
+        return job.typeName === 'invoice' && job.record.id === invoiceLocalId;
+      });
+      expect(job.record.lineItems.mapBy('description')).to.deep.equal(['Apples', 'Oranges']);
+
+      lineItemLocalIds = job.record.lineItems.mapBy('id');
+      expect(lineItemLocalIds.every(Boolean)).to.be.true;
+
+      // #online
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/invoices',
+        type:         'POST',
+        status:       201,
+        responseTime: 0,
+        response: function(settings) {
+          requestBody = JSON.parse(settings.data);
+          var invoice = requestBody.invoice;
+
+          invoice.id = invoiceId;
+          invoice.lineItems.forEach(function(lineItem, index) {
+            lineItem.id = lineItemIds[index];
+          });
+          this.responseText = { invoice: invoice };
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      var lineItems = requestBody.invoice.lineItems;
+      expect(lineItems.mapBy('description')).to.deep.equal(['Apples', 'Oranges']);
+      expect(lineItems.mapBy('id')).to.deep.equal([null, null], 'Embedded records created offline should be sent without id');
+
+      var invoice = store.getById('invoice', invoiceId);
+      expect(invoice.get('lineItems').mapBy('id')).to.deep.equal(lineItemIds);
+
+      // cleanup
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return RSVP.all([
+        localAdapter.deleteRecord(localStore, store.modelFor('invoice'), {id: invoiceId}),
+        localAdapter.deleteRecord(localStore, store.modelFor('line-item'), {id: lineItemIds[0]}),
+        localAdapter.deleteRecord(localStore, store.modelFor('line-item'), {id: lineItemIds[1]})
+      ]);
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
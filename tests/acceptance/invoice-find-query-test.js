@@ -0,0 +1,91 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: Invoice Find Query', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('finds the records of a query made online when offline', function(done) {
+    var invoiceIds = ['2201', '2202'];
+
+    mockId = Ember.$.mockjax({
+      url:          '/invoices',
+      type:         'GET',
+      responseTime: 0,
+      responseText: {
+        invoices: [
+          { id: invoiceIds[0], number: 'find-query-1', total: 10000 },
+          { id: invoiceIds[1], number: 'find-query-2', total: 20000 }
+        ]
+      }
+    });
+
+    store.findQuery('invoice', {minTotal: 100, unpaid: true}).then(function(invoices) {
+      expect(invoices.mapBy('id')).to.deep.equal(invoiceIds);
+      expect(invoices.get('isFromLocalCache')).to.be.false;
+
+      // #offline
+      Ember.$.mockjax.clear(mockId);
+      setOnlineStatus(false);
+
+      // the same query with keys in another order
+      return store.findQuery('invoice', {unpaid: true, minTotal: 100});
+
+    }).then(function(invoices) {
+      expect(invoices.mapBy('id')).to.deep.equal(invoiceIds, 'Records found online should be found offline');
+      expect(invoices.get('isFromLocalCache')).to.be.true;
+
+      return syncer.get('db').keys();
+
+    }).then(function(keys) {
+      expect(keys.join()).not.to.contain('minTotal', 'Query should not be saved in a key');
+
+      return store.findQuery('invoice', {number: 'find-query-2'});
+
+    }).then(function(invoices) {
+      var ids = invoices.mapBy('id');
+      expect(ids).to.include(invoiceIds[1], 'Query should be evaluated on local records');
+      expect(ids).not.to.include(invoiceIds[0]);
+
+      return store.findQuery('invoice', {number: 'find-query-none'});
+
+    }).then(function(invoices) {
+      expect(invoices.get('length')).to.equal(0);
+      expect(invoices.get('isFromLocalCache')).to.be.true;
+
+      // cleanup
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return RSVP.all(invoiceIds.map(function(id) {
+        return localAdapter.deleteRecord(localStore, store.modelFor('invoice'), {id: id});
+      }));
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+
+describe('Acceptance: Invoice Custom Transform', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('applies custom transforms offline and when syncing', function(done) {
+    var invoiceId = '2101';
+    var invoicePromise, invoiceLocalId, requestBody;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      invoicePromise = store.createRecord('invoice', {
+        number: 'transform-1',
+        total:  12.5
+      }).save();
+    });
+
+    invoicePromise.then(function(invoice) {
+      invoiceLocalId = invoice.get('id');
+
+      var job = syncer.get('jobs').find(function(job) {
+        return job.typeName === 'invoice' && job.record.id === invoiceLocalId;
+      });
+      expect(job.record.total).to.equal(1250);
+
+      store.unloadAll('invoice');
+      return store.fetchById('invoice', invoiceLocalId);
+
+    }).then(function(invoice) {
+      expect(invoice.get('total')).to.equal(12.5, 'Transform should be applied when reading from localforage');
+
+      // #online
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/invoices',
+        type:         'POST',
+        status:       201,
+        responseTime: 0,
+        response: function(settings) {
+          requestBody = JSON.parse(settings.data);
+          requestBody.invoice.id = invoiceId;
+          this.responseText = { invoice: requestBody.invoice };
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(requestBody.invoice.total).to.equal(1250, 'Transform should be applied once when replaying');
+      expect(store.getById('invoice', invoiceId).get('total')).to.equal(12.5);
+
+      // cleanup
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.deleteRecord(
+        localStore, store.modelFor('invoice'), {id: invoiceId}
+      );
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: Note(versioned) Update Conflict', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('merges attributes changed offline with the server', function(done) {
+    this.timeout(10000);
+
+    var titleUpdated = 'note-conflict-title-2';
+    var bodyUpdated  = 'note-conflict-body-2';
+    var notePromise, noteId;
+
+    Ember.run(function() {
+      notePromise = store.createRecord('note', {
+        title: 'note-conflict-title-1',
+        body:  'note-conflict-body-1'
+      }).save();
+    });
+
+    notePromise.then(function(note) {
+      noteId = note.get('id');
+      expect(note.get('version')).to.equal(1);
+
+      // another client updates the body on the server
+      return RSVP.resolve(Ember.$.ajax({
+        url:         '/notes/' + noteId,
+        type:        'PUT',
+        contentType: 'application/json',
+        data:        JSON.stringify({
+          note: { title: note.get('title'), body: bodyUpdated, version: 1 }
+        })
+      })).then(function() {
+        return note;
+      });
+
+    }).then(function(note) {
+      // #offline update
+      setOnlineStatus(false);
+      return note.setProperties({title: titleUpdated}).save();
+
+    }).then(function() {
+      // #online
+      setOnlineStatus(true);
+      return store.fetchById('note', noteId);
+
+    }).then(function(note) {
+      expect(note.get('title')).to.equal(titleUpdated, 'Attribute changed offline should win');
+      expect(note.get('body')).to.equal(bodyUpdated, 'Attribute changed on the server should be kept');
+      expect(note.get('version')).to.equal(3);
+      // cleanup
+      return note.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
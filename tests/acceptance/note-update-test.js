@@ -0,0 +1,70 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store;
+
+describe('Acceptance: Note Update', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('applies the response of the server after syncing', function(done) {
+    var title = 'note-update-title-1';
+    var titleUpdated = 'note-update-title-2';
+    var notePromise, noteId;
+
+    Ember.run(function() {
+      notePromise = store.createRecord('note', {title: title}).save();
+    });
+
+    notePromise.then(function(note) {
+      noteId = note.get('id');
+
+      // #offline update
+      setOnlineStatus(false);
+      return note.setProperties({title: titleUpdated}).save();
+
+    }).then(function() {
+      // #online
+      setOnlineStatus(true);
+      return store.get('syncer').syncUp();
+
+    }).then(function() {
+      var note = store.getById('note', noteId);
+      expect(note.get('version')).to.equal(2, 'Version from the server should be in the store');
+
+      // #offline
+      setOnlineStatus(false);
+      return store.fetchById('note', noteId);
+
+    }).then(function(note) {
+      expect(note.get('title')).to.equal(titleUpdated);
+      expect(note.get('version')).to.equal(2, 'Version from the server should be saved locally');
+
+      // cleanup
+      setOnlineStatus(true);
+      return note.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
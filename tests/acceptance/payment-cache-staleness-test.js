@@ -0,0 +1,104 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+
+describe('Acceptance: Payment Cache Staleness', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('tells when a record read offline was cached', function(done) {
+    var paymentId = '4101';
+    var cachedAt  = (new Date()).getTime() - 30 * 60 * 1000;
+
+    cachePayment(paymentId, cachedAt).then(function() {
+      // #offline
+      setOnlineStatus(false);
+      return store.fetchById('payment', paymentId);
+
+    }).then(function(payment) {
+      expect(payment.get('fryctoria.cachedAt').getTime()).to.equal(cachedAt);
+      expect(payment.get('fryctoria.isStale')).to.be.true;
+
+      // #online
+      setOnlineStatus(true);
+      Ember.run(function() {
+        store.push('payment', {id: paymentId, reference: 'stale-1', amount: 30});
+      });
+      expect(payment.get('fryctoria')).to.be.null;
+
+      return syncer.evict(store.modelFor('payment'), paymentId);
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('evicts expired records from localforage', function(done) {
+    var paymentId = '4102';
+    var cachedAt  = (new Date()).getTime() - 2 * 60 * 60 * 1000;
+    var type      = store.modelFor('payment');
+
+    cachePayment(paymentId, cachedAt).then(function() {
+      return syncer.evictExpired();
+
+    }).then(function() {
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.find(localStore, type, paymentId).then(function() {
+        return true;
+      }, function() {
+        return false;
+      });
+
+    }).then(function(isFound) {
+      expect(isFound).to.be.false;
+
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
+
+function cachePayment(id, cachedAt) {
+  var payment;
+
+  Ember.run(function() {
+    payment = store.push('payment', {id: id, reference: 'stale-' + id, amount: 10});
+  });
+
+  return syncer.syncDown(payment).then(function() {
+    store.unloadAll('payment');
+
+    return syncer.get('collections').cacheMeta.put({
+      typeName: 'payment',
+      id:       id,
+      cachedAt: cachedAt
+    });
+
+  }).then(function() {
+    // INFO: the cacheMeta saved above is read again, like in a new session
+    syncer.set('cacheMetas', null);
+  });
+}
@@ -0,0 +1,105 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+
+describe('Acceptance: Payment Offline Policy', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('rejects changes which are not allowed offline', function(done) {
+    var paymentPromise;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      paymentPromise = store.createRecord('payment', {
+        reference: 'policy-1',
+        amount:    10
+      }).save();
+    });
+
+    paymentPromise.catch(function(error) {
+      expect(error.name).to.equal('OfflineNotAllowedError');
+      expect(error.operation).to.equal('createRecord');
+      expect(error.typeName).to.equal('payment');
+      expect(syncer.get('jobs').filterBy('typeName', 'payment').length).to.equal(0);
+
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('does not read records cached for longer than the ttl', function(done) {
+    var paymentId = '4001';
+    var payment;
+
+    Ember.run(function() {
+      payment = store.push('payment', {
+        id:        paymentId,
+        reference: 'policy-2',
+        amount:    20
+      });
+    });
+
+    syncer.syncDown(payment).then(function() {
+      expect(syncer.allowsOffline('payment', 'read')).to.be.true;
+      expect(syncer.allowsOffline('payment', 'updateRecord')).to.be.false;
+
+      // cached two hours ago
+      return syncer.get('collections').cacheMeta.put({
+        typeName: 'payment',
+        id:       paymentId,
+        cachedAt: (new Date()).getTime() - 2 * 60 * 60 * 1000
+      });
+
+    }).then(function() {
+      // INFO: the cacheMeta saved above is read again, like in a new session
+      syncer.set('cacheMetas', null);
+
+      // #offline
+      setOnlineStatus(false);
+      store.unloadAll('payment');
+      return store.find('payment', paymentId);
+
+    }).catch(function(error) {
+      expect(error.name).to.equal('OfflineNotAllowedError');
+      expect(error.operation).to.equal('read');
+
+      // cleanup
+      setOnlineStatus(true);
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      var type         = store.modelFor('payment');
+      return Ember.RSVP.all([
+        localAdapter.deleteRecord(localStore, type, {id: paymentId}),
+        syncer.forgetCache(type, paymentId)
+      ]);
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
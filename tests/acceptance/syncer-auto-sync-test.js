@@ -0,0 +1,73 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+
+describe('Acceptance: Syncer Auto Sync', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('syncs up when the browser goes online', function(done) {
+    var name = 'auto-sync-user-1';
+    var userPromise, userId;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      userPromise = store.createRecord('user', {name: name}).save();
+    });
+
+    userPromise.then(function(user) {
+      userId = user.get('id');
+      syncer.startAutoSync({online: true, visibilityChange: false});
+
+      // #online
+      setOnlineStatus(true);
+      Ember.$(window).trigger('online');
+
+      var syncPromise = syncer.get('syncPromise');
+      expect(syncPromise).to.exist('Syncing should be started');
+      expect(syncer.syncUp()).to.equal(syncPromise, 'Syncing should not overlap');
+      return syncPromise;
+
+    }).then(function() {
+      syncer.stopAutoSync();
+
+      var jobs = syncer.get('jobs').filter(function(job) {
+        return job.record.id === userId;
+      });
+      expect(jobs.length).to.equal(0);
+      return store.find('user');
+
+    }).then(function(users) {
+      var userCreated = users.findBy('name', name);
+      expect(userCreated).to.exist('Record should be created and returned from server');
+      // cleanup
+      return userCreated.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
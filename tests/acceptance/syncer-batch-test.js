@@ -0,0 +1,188 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, batchMockId, tagsMockId;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: Syncer Batch', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(batchMockId);
+    Ember.$.mockjax.clear(tagsMockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('sends jobs in one request to the batch endpoint', function(done) {
+    var labels = ['batch-tag-1', 'batch-tag-2', 'batch-tag-3'];
+    var batchRequests = [];
+    var tagRequests = 0;
+
+    createTagsOffline(labels).then(function() {
+      // #online
+      setOnlineStatus(true);
+      mockBatch(batchRequests, 200);
+      tagsMockId = Ember.$.mockjax({
+        url:          '/tags',
+        type:         'POST',
+        responseTime: 0,
+        response: function() {
+          tagRequests++;
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(batchRequests.length).to.equal(1);
+      expect(tagRequests).to.equal(0);
+      expect(batchRequests[0].mapBy('op')).to.deep.equal(['add', 'add', 'add']);
+      expect(batchRequests[0].mapBy('value.tag.label')).to.deep.equal(labels);
+      expect(jobsFor(labels).length).to.equal(0);
+      expect(store.all('tag').mapBy('label')).to.include.members(labels);
+
+      return cleanup(labels);
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('runs jobs one at a time when the batch fails', function(done) {
+    var labels = ['batch-tag-4', 'batch-tag-5'];
+    var batchRequests = [];
+    var tagRequests = [];
+
+    createTagsOffline(labels).then(function() {
+      // #online
+      setOnlineStatus(true);
+      mockBatch(batchRequests, 500);
+      tagsMockId = Ember.$.mockjax({
+        url:          '/tags',
+        type:         'POST',
+        status:       201,
+        responseTime: 0,
+        response: function(settings) {
+          var requestBody = JSON.parse(settings.data);
+          tagRequests.push(requestBody.tag.label);
+          this.responseText = { tag: requestBody.tag };
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(batchRequests.length).to.equal(1);
+      expect(tagRequests).to.deep.equal(labels);
+      expect(jobsFor(labels).length).to.equal(0);
+
+      return cleanup(labels);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('sends the jobs again one at a time when the batch response is short', function(done) {
+    var labels = ['batch-tag-6', 'batch-tag-7'];
+    var batchRequests = [];
+    var tagRequests = [];
+
+    createTagsOffline(labels).then(function() {
+      // #online
+      setOnlineStatus(true);
+      mockBatch(batchRequests, 200, 1);
+      tagsMockId = Ember.$.mockjax({
+        url:          '/tags',
+        type:         'POST',
+        status:       201,
+        responseTime: 0,
+        response: function(settings) {
+          var requestBody = JSON.parse(settings.data);
+          tagRequests.push(settings.headers['Idempotency-Key']);
+          this.responseText = { tag: requestBody.tag };
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(batchRequests.length).to.equal(1);
+      expect(tagRequests).to.deep.equal(batchRequests[0].mapBy('idempotencyKey'), 'Jobs should be sent with the same keys');
+      expect(jobsFor(labels).length).to.equal(0);
+
+      return cleanup(labels);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
+
+function createTagsOffline(labels) {
+  var tagPromises;
+
+  // #offline
+  setOnlineStatus(false);
+
+  Ember.run(function() {
+    tagPromises = labels.map(function(label) {
+      return store.createRecord('tag', {label: label}).save();
+    });
+  });
+
+  return RSVP.all(tagPromises);
+}
+
+function mockBatch(requests, status, resultCount) {
+  batchMockId = Ember.$.mockjax({
+    url:          '/batch',
+    type:         'POST',
+    status:       status,
+    responseTime: 0,
+    response: function(settings) {
+      var operations = JSON.parse(settings.data);
+      requests.push(operations);
+      this.responseText = operations.mapBy('value').slice(0, resultCount);
+    }
+  });
+}
+
+function jobsFor(labels) {
+  return syncer.get('jobs').filter(function(job) {
+    return labels.indexOf(job.record.label) !== -1;
+  });
+}
+
+function cleanup(labels) {
+  var localStore   = syncer.get('localStore');
+  var localAdapter = syncer.get('localAdapter');
+  var tags = store.all('tag').filter(function(tag) {
+    return labels.indexOf(tag.get('label')) !== -1;
+  });
+
+  return RSVP.all(tags.map(function(tag) {
+    return localAdapter.deleteRecord(localStore, store.modelFor('tag'), {id: tag.get('id')});
+  }));
+}
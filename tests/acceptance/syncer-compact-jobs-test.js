@@ -0,0 +1,118 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+
+describe('Acceptance: Syncer Compact Jobs', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('merges a create and updates into one create', function(done) {
+    var name = 'compact-jobs-user-1';
+    var nameUpdated = 'compact-jobs-user-2';
+    var userPromise, userId;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      userPromise = store.createRecord('user', {name: name}).save();
+    });
+
+    userPromise.then(function(user) {
+      userId = user.get('id');
+      return user.setProperties({name: nameUpdated}).save();
+
+    }).then(function(user) {
+      return user.setProperties({age: 30}).save();
+
+    }).then(function() {
+      expect(jobsFor(userId).length).to.equal(3);
+      return syncer.compactJobs();
+
+    }).then(function() {
+      var jobs = jobsFor(userId);
+      expect(jobs.length).to.equal(1);
+      expect(jobs[0].operation).to.equal('createRecord');
+      expect(jobs[0].record.name).to.equal(nameUpdated);
+      expect(jobs[0].record.age).to.equal(30);
+
+      // #online
+      setOnlineStatus(true);
+      return store.find('user');
+
+    }).then(function(users) {
+      var userCreated = users.findBy('name', nameUpdated);
+      expect(userCreated).to.exist('Record should be created and returned from server');
+      // cleanup
+      return userCreated.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('drops a create followed by a delete', function(done) {
+    var name = 'compact-jobs-user-3';
+    var userPromise, userId;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      userPromise = store.createRecord('user', {name: name}).save();
+    });
+
+    userPromise.then(function(user) {
+      userId = user.get('id');
+      return user.destroyRecord();
+
+    }).then(function() {
+      expect(jobsFor(userId).length).to.equal(2);
+      return syncer.compactJobs();
+
+    }).then(function() {
+      expect(jobsFor(userId).length).to.equal(0);
+
+      // #online
+      setOnlineStatus(true);
+      return store.find('user');
+
+    }).then(function(users) {
+      expect(users.findBy('name', name)).not.to.exist();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
+
+function jobsFor(id) {
+  return syncer.get('jobs').filter(function(job) {
+    return job.typeName === 'user' && job.record.id === id;
+  });
+}
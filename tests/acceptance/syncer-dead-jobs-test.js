@@ -0,0 +1,166 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+
+describe('Acceptance: Syncer Dead Jobs', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('retries a failed job later and moves it to dead jobs', function(done) {
+    this.timeout(10000);
+
+    var name = 'dead-jobs-user-1';
+    var userPromise, jobId;
+
+    syncer.setProperties({ maxAttempts: 2, retryDelay: 200 });
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      userPromise = store.createRecord('user', {name: name}).save();
+    });
+
+    userPromise.then(function(user) {
+      jobId = syncer.get('jobs').find(function(job) {
+        return job.record.id === user.get('id');
+      }).id;
+
+      // #online, but the server rejects the job
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/users',
+        type:         'POST',
+        status:       422,
+        responseTime: 0,
+      });
+
+      return syncer.syncUp().catch(function(error) {
+        expect(error.status).to.equal(422);
+      });
+
+    }).then(function() {
+      var job = syncer.get('jobs').findBy('id', jobId);
+      expect(job.attempts).to.equal(1);
+      expect(job.lastError.status).to.equal(422);
+      expect(job.nextAttemptAt).to.be.above((new Date()).getTime());
+
+      return new Ember.RSVP.Promise(function(resolve) {
+        andLater(resolve, 300);
+      });
+
+    }).then(function() {
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs').findBy('id', jobId)).not.to.exist();
+      expect(syncer.get('deadJobs').findBy('id', jobId)).to.exist();
+
+      Ember.$.mockjax.clear(mockId);
+      return syncer.retryDeadJob(jobId);
+
+    }).then(function() {
+      expect(syncer.get('deadJobs').findBy('id', jobId)).not.to.exist();
+      return store.find('user');
+
+    }).then(function(users) {
+      var userCreated = users.findBy('name', name);
+      expect(userCreated).to.exist('Record should be created and returned from server');
+      // cleanup
+      return userCreated.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('moves the jobs depending on a dead job with it', function(done) {
+    var teamPromise, teamJobId, userJobId;
+
+    syncer.setProperties({ maxAttempts: 1 });
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      teamPromise = store.createRecord('team', {name: 'dead-jobs-team-1'}).save();
+    });
+
+    teamPromise.then(function(team) {
+      teamJobId = syncer.jobsFor('team', team.get('id'))[0].id;
+      return store.createRecord('user', {name: 'dead-jobs-user-2', team: team}).save();
+
+    }).then(function(user) {
+      userJobId = syncer.jobsFor('user', user.get('id'))[0].id;
+
+      // #online, but the server rejects the team
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/teams',
+        type:         'POST',
+        status:       422,
+        responseTime: 0,
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs')).to.be.empty;
+      expect(syncer.get('deadJobs').findBy('id', teamJobId)).to.exist();
+
+      var userJob = syncer.get('deadJobs').findBy('id', userJobId);
+      expect(userJob).to.exist('Job referencing the team should not be sent');
+      expect(userJob.blockedBy).to.equal(teamJobId);
+
+      Ember.$.mockjax.clear(mockId);
+      return syncer.retryDeadJob(teamJobId);
+
+    }).then(function() {
+      expect(syncer.get('deadJobs')).to.be.empty;
+      expect(syncer.get('jobs').mapBy('id')).to.deep.equal([teamJobId, userJobId]);
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs')).to.be.empty;
+      return store.find('user');
+
+    }).then(function(users) {
+      var userCreated = users.findBy('name', 'dead-jobs-user-2');
+      expect(userCreated).to.exist();
+
+      var team = userCreated.get('team');
+      expect(team.get('name')).to.equal('dead-jobs-team-1');
+
+      // cleanup
+      return Ember.RSVP.all([userCreated.destroyRecord(), team.destroyRecord()]);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
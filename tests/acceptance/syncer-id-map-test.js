@@ -0,0 +1,178 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+
+describe('Acceptance: Syncer Id Map', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('keeps local ids mapped while a job references them', function(done) {
+    this.timeout(10000);
+
+    var teamPromise, teamLocalId, teamRemoteId, requestBody;
+
+    syncer.set('retryDelay', 0);
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      teamPromise = store.createRecord('team', {name: 'id-map-team-1'}).save();
+    });
+
+    teamPromise.then(function(team) {
+      teamLocalId = team.get('id');
+      expect(syncer.isLocalId('team', teamLocalId)).to.be.true;
+
+      return store.createRecord('user', {name: 'id-map-user-1', team: team}).save();
+
+    }).then(function() {
+      // #online, but the server rejects the user
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/users',
+        type:         'POST',
+        status:       422,
+        responseTime: 0,
+      });
+
+      return syncer.syncUp().catch(function(error) {
+        expect(error.status).to.equal(422);
+      });
+
+    }).then(function() {
+      teamRemoteId = syncer.resolveId('team', teamLocalId);
+      expect(teamRemoteId).not.to.equal(teamLocalId);
+      expect(syncer.isLocalId('team', teamLocalId)).to.be.false;
+
+      Ember.$.mockjax.clear(mockId);
+      mockId = Ember.$.mockjax({
+        url:          '/users',
+        type:         'POST',
+        status:       201,
+        responseTime: 0,
+        response: function(settings) {
+          requestBody = JSON.parse(settings.data);
+          requestBody.user.id = '4001';
+          this.responseText = { user: requestBody.user };
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(requestBody.user.team).to.equal(teamRemoteId, 'Mapped id should be sent in a later run');
+      expect(syncer.get('remoteIdRecords').findBy('localId', teamLocalId)).not.to.exist('Id map should be garbage collected');
+
+      // cleanup
+      return store.getById('team', teamRemoteId).destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('sends client generated ids as is', function(done) {
+    var tagPromise, tagId, requestBody;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      tagPromise = store.createRecord('tag', {label: 'id-map-tag-1'}).save();
+    });
+
+    tagPromise.then(function(tag) {
+      tagId = tag.get('id');
+      expect(tagId).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(syncer.isLocalId('tag', tagId)).to.be.false;
+
+      // #online
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/tags',
+        type:         'POST',
+        status:       201,
+        responseTime: 0,
+        response: function(settings) {
+          requestBody = JSON.parse(settings.data);
+          this.responseText = { tag: requestBody.tag };
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(requestBody.tag.id).to.equal(tagId);
+      expect(store.getById('tag', tagId).get('label')).to.equal('id-map-tag-1');
+
+      // cleanup
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.deleteRecord(localStore, store.modelFor('tag'), {id: tagId});
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('rejects the offline save when its id can not be mapped', function(done) {
+    var db = syncer.get('db');
+    var setItem = db.setItem;
+    var teamPromise;
+
+    db.setItem = function(name) {
+      if(name.indexOf('EmberFryctoriaRemoteIdRecords') === 0) {
+        return Ember.RSVP.reject(new Error('id-map-write-failed'));
+      }
+      return setItem.apply(this, arguments);
+    };
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      teamPromise = store.createRecord('team', {name: 'id-map-team-3'}).save();
+    });
+
+    teamPromise.then(function() {
+      throw new Error('Save should be rejected');
+
+    }, function(error) {
+      db.setItem = setItem;
+
+      expect(error.message).to.equal('id-map-write-failed');
+      expect(syncer.get('jobs').filterBy('typeName', 'team')).to.be.empty;
+
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
@@ -0,0 +1,75 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: Syncer Job Queue', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('keeps every job in order when saving concurrently', function(done) {
+    var names = [1, 2, 3, 4, 5].map(function(i) {
+      return 'job-queue-user-' + i;
+    });
+    var userPromises;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      userPromises = names.map(function(name) {
+        return store.createRecord('user', {name: name}).save();
+      });
+    });
+
+    RSVP.all(userPromises).then(function() {
+      // read the queue from localforage
+      return syncer.reload();
+
+    }).then(function() {
+      var jobs = syncer.get('jobs').filter(function(job) {
+        return names.indexOf(job.record.name) !== -1;
+      });
+
+      expect(jobs.mapBy('record.name')).to.deep.equal(names);
+      jobs.reduce(function(previous, job) {
+        expect(job.seq).to.be.above(previous.seq);
+        return job;
+      });
+
+      // cleanup
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return RSVP.all(jobs.map(function(job) {
+        return RSVP.all([
+          syncer.deleteById('job', job.id),
+          localAdapter.deleteRecord(localStore, store.modelFor('user'), {id: job.record.id})
+        ]);
+      }));
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
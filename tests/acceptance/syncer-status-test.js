@@ -0,0 +1,78 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+
+describe('Acceptance: Syncer Status', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('exposes the status and triggers events while syncing', function(done) {
+    var name = 'syncer-status-user-1';
+    var events = [];
+    var pendingJobCount, userPromise;
+
+    ['syncStarted', 'jobSucceeded', 'syncCompleted'].forEach(function(eventName) {
+      syncer.on(eventName, function() {
+        events.push(eventName);
+      });
+    });
+
+    // #offline
+    setOnlineStatus(false);
+    pendingJobCount = syncer.get('pendingJobCount');
+
+    Ember.run(function() {
+      userPromise = store.createRecord('user', {name: name}).save();
+    });
+
+    userPromise.then(function() {
+      expect(syncer.get('isOnline')).to.be.false;
+      expect(syncer.get('pendingJobCount')).to.equal(pendingJobCount + 1);
+
+      // #online
+      setOnlineStatus(true);
+      var syncPromise = syncer.syncUp();
+      expect(syncer.get('isSyncing')).to.be.true;
+      return syncPromise;
+
+    }).then(function() {
+      expect(syncer.get('isSyncing')).to.be.false;
+      expect(syncer.get('isOnline')).to.be.true;
+      expect(syncer.get('pendingJobCount')).to.equal(0);
+      expect(syncer.get('lastSyncedAt')).to.be.an.instanceof(Date);
+      expect(syncer.get('lastError')).to.be.null;
+      expect(events[0]).to.equal('syncStarted');
+      expect(events).to.include('jobSucceeded');
+      expect(events[events.length - 1]).to.equal('syncCompleted');
+      return store.find('user');
+
+    }).then(function(users) {
+      // cleanup
+      return users.findBy('name', name).destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+import TabCoordinator from 'ember-fryctoria/tab-coordinator';
+
+var App, store, syncer, otherTab;
+
+describe('Acceptance: Syncer Tabs', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+    otherTab = TabCoordinator.create();
+  });
+
+  afterEach(function() {
+    Ember.run(otherTab, 'destroy');
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('does not sync up while another tab holds the lock', function(done) {
+    var name = 'syncer-tabs-user-1';
+    var userPromise, userId;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      userPromise = store.createRecord('user', {name: name}).save();
+    });
+
+    userPromise.then(function(user) {
+      userId = user.get('id');
+      return otherTab.acquire();
+
+    }).then(function(isAcquired) {
+      expect(isAcquired).to.be.true;
+
+      // #online
+      setOnlineStatus(true);
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs').findBy('record.id', userId)).to.exist('Job should be left to the other tab');
+
+      otherTab.release();
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs').findBy('record.id', userId)).not.to.exist();
+      return store.find('user');
+
+    }).then(function(users) {
+      var userCreated = users.findBy('name', name);
+      expect(userCreated).to.exist('Record should be created and returned from server');
+      // cleanup
+      return userCreated.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('reloads jobs and ids changed by another tab', function(done) {
+    var job = {
+      id:        'syncer-tabs-job-1',
+      operation: 'updateRecord',
+      typeName:  'user',
+      record:    { id: 'syncer-tabs-local-1', name: 'syncer-tabs-user-2' },
+      createdAt: (new Date()).getTime()
+    };
+    var remoteIdRecord = {
+      typeName: 'user',
+      localId:  'syncer-tabs-local-1',
+      remoteId: 'syncer-tabs-remote-1'
+    };
+
+    Ember.run(function() {
+      store.push('user', { id: 'syncer-tabs-local-1', name: 'syncer-tabs-user-2' });
+    });
+
+    var collections = syncer.get('collections');
+
+    // another tab saves a job and maps an id
+    collections.job.put(job).then(function() {
+      return collections.remoteIdRecord.put(remoteIdRecord);
+
+    }).then(function() {
+      return Ember.RSVP.all([
+        syncer.receiveTabMessage({ type: 'changed', typeName: 'job' }),
+        syncer.receiveTabMessage({ type: 'changed', typeName: 'remoteIdRecord' })
+      ]);
+
+    }).then(function() {
+      expect(syncer.get('jobs').findBy('id', job.id)).to.exist();
+      expect(store.getById('user', 'syncer-tabs-local-1')).to.be.null;
+      expect(store.getById('user', 'syncer-tabs-remote-1').get('name')).to.equal('syncer-tabs-user-2');
+
+      // cleanup
+      return Ember.RSVP.all([
+        syncer.deleteById('job', job.id),
+        syncer.saveAll('remoteIdRecord',
+          syncer.get('remoteIdRecords').rejectBy('localId', remoteIdRecord.localId)
+        )
+      ]);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, mockId;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: Team Sideload Users', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('saves sideloaded records into localforage', function(done) {
+    var teamId = '1001';
+    var userId = '1001';
+    var userName = 'team-sideload-user-1';
+
+    mockId = Ember.$.mockjax({
+      url:          '/teams/' + teamId,
+      responseTime: 0,
+      responseText: {
+        team:  { id: teamId, name: 'team-sideload-team-1', users: [userId] },
+        users: [{ id: userId, name: userName, team: teamId }]
+      }
+    });
+
+    store.fetchById('team', teamId).then(function(team) {
+      expect(team.get('users.length')).to.equal(1);
+
+      // #offline
+      Ember.$.mockjax.clear(mockId);
+      setOnlineStatus(false);
+      store.unloadAll('user');
+      return store.fetchById('user', userId);
+
+    }).then(function(user) {
+      expect(user.get('name')).to.equal(userName, 'Sideloaded record should be read from localforage');
+
+      // cleanup
+      var syncer       = store.get('syncer');
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return RSVP.all([
+        localAdapter.deleteRecord(localStore, store.modelFor('user'), {id: userId}),
+        localAdapter.deleteRecord(localStore, store.modelFor('team'), {id: teamId})
+      ]);
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
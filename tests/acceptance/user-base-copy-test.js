@@ -0,0 +1,78 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+
+describe('Acceptance: User Base Copy', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('keeps the record confirmed by the server apart from offline changes', function(done) {
+    var name = 'user-base-copy-1';
+    var nameUpdated = 'user-base-copy-2';
+    var user;
+
+    Ember.run(function() {
+      user = store.createRecord('user', {name: name});
+    });
+
+    user.save().then(function() {
+      return syncer.findBase('user', user.get('id'));
+
+    }).then(function(base) {
+      expect(base.name).to.equal(name);
+
+      // #offline
+      setOnlineStatus(false);
+      return user.set('name', nameUpdated).save();
+
+    }).then(function() {
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.find(localStore, store.modelFor('user'), user.get('id'));
+
+    }).then(function(working) {
+      expect(working.name).to.equal(nameUpdated, 'Working copy should be changed offline');
+      return syncer.findBase('user', user.get('id'));
+
+    }).then(function(base) {
+      expect(base.name).to.equal(name, 'Base copy should not be changed offline');
+
+      // #online
+      setOnlineStatus(true);
+      return syncer.syncUp();
+
+    }).then(function() {
+      return syncer.findBase('user', user.get('id'));
+
+    }).then(function(base) {
+      expect(base.name).to.equal(nameUpdated, 'Base copy should be updated when synced');
+
+      // cleanup
+      return user.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
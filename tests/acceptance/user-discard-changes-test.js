@@ -0,0 +1,165 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+
+describe('Acceptance: User Discard Changes', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('restores a record updated offline', function(done) {
+    var name = 'user-discard-1';
+    var user, userId;
+
+    Ember.run(function() {
+      user = store.createRecord('user', {name: name, age: 20});
+    });
+
+    user.save().then(function() {
+      userId = user.get('id');
+
+      // #offline
+      setOnlineStatus(false);
+      return user.setProperties({name: 'user-discard-2', age: 21}).save();
+
+    }).then(function() {
+      expect(user.get('hasPendingChanges')).to.be.true;
+      return user.discardPendingChanges();
+
+    }).then(function() {
+      expect(user.get('hasPendingChanges')).to.be.false;
+      expect(user.get('name')).to.equal(name);
+      expect(user.get('age')).to.equal(20);
+
+      store.unloadAll('user');
+      return store.fetchById('user', userId);
+
+    }).then(function(userFetched) {
+      expect(userFetched.get('name')).to.equal(name, 'Record should be restored in localforage');
+
+      // #online
+      setOnlineStatus(true);
+      return userFetched.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('removes a record created offline', function(done) {
+    var user, userId;
+
+    Ember.run(function() {
+      // #offline
+      setOnlineStatus(false);
+      user = store.createRecord('user', {name: 'user-discard-3'});
+    });
+
+    user.save().then(function() {
+      userId = user.get('id');
+      return user.discardPendingChanges();
+
+    }).then(function() {
+      expect(syncer.jobsFor('user', userId)).to.be.empty;
+      expect(store.hasRecordForId('user', userId)).to.be.false;
+
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.find(localStore, store.modelFor('user'), userId).then(function() {
+        return true;
+      }, function() {
+        return false;
+      });
+
+    }).then(function(isFound) {
+      expect(isFound).to.be.false;
+
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('restores a record deleted offline and discards its dead jobs', function(done) {
+    var name = 'user-discard-4';
+    var user, userId;
+
+    syncer.set('maxAttempts', 1);
+
+    Ember.run(function() {
+      user = store.createRecord('user', {name: name});
+    });
+
+    user.save().then(function() {
+      userId = user.get('id');
+
+      // #offline
+      setOnlineStatus(false);
+      return user.destroyRecord();
+
+    }).then(function() {
+      // #online, but the server rejects the delete
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/users/' + userId,
+        type:         'DELETE',
+        status:       422,
+        responseTime: 0,
+      });
+
+      return syncer.syncUp().catch(function(error) {
+        expect(error.status).to.equal(422);
+      });
+
+    }).then(function() {
+      expect(syncer.jobsFor('user', userId)).to.be.empty;
+      expect(syncer.get('deadJobs').filterBy('record.id', userId)).to.have.length(1);
+
+      Ember.$.mockjax.clear(mockId);
+      return syncer.discardJobsFor('user', userId);
+
+    }).then(function() {
+      expect(syncer.get('deadJobs').filterBy('record.id', userId)).to.be.empty;
+
+      var userRestored = store.getById('user', userId);
+      expect(userRestored).to.exist('Record should be pushed again');
+      expect(userRestored.get('name')).to.equal(name);
+
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.find(localStore, store.modelFor('user'), userId);
+
+    }).then(function(payload) {
+      expect(payload.name).to.equal(name, 'Record should be restored in localforage');
+
+      // cleanup
+      return store.getById('user', userId).destroyRecord();
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
@@ -0,0 +1,132 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+import config from '../../config/environment';
+
+var App, store, syncer, originalConfig;
+
+var NAMESPACE = 'user-encryption';
+
+// NOTE: PhantomJS does not support WebCrypto
+var itWithCrypto = window.crypto && window.crypto.subtle ? it : it.skip;
+
+describe('Acceptance: User Encryption', function() {
+  beforeEach(function() {
+    originalConfig = config['ember-fryctoria'];
+    config['ember-fryctoria'] = Ember.merge(Ember.merge({}, originalConfig), {
+      encryption: true,
+      namespace:  NAMESPACE
+    });
+
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    config['ember-fryctoria'] = originalConfig;
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('rejects offline saves while locked', function(done) {
+    var user, userPromise;
+
+    expect(syncer.get('isLocked')).to.be.true;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      user = store.createRecord('user', {name: 'user-encryption-1'});
+      userPromise = user.save();
+    });
+
+    userPromise.then(function() {
+      throw new Error('Save should be rejected');
+
+    }, function(error) {
+      expect(error.name).to.equal('LockedError');
+      expect(syncer.get('jobs')).to.be.empty;
+
+      Ember.run(user, 'deleteRecord');
+      return syncer.rotateKey('passphrase').then(function() {
+        throw new Error('Rotation should be rejected');
+      }, function(error) {
+        expect(error.name).to.equal('LockedError');
+      });
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+
+  itWithCrypto('saves the jobs encrypted and loads them once unlocked', function(done) {
+    var name = 'user-encryption-2';
+    var user, userLocalId, job;
+
+    syncer.unlock('passphrase').then(function() {
+      expect(syncer.get('isLocked')).to.be.false;
+
+      // #offline
+      setOnlineStatus(false);
+      user = store.createRecord('user', {name: name});
+      return user.save();
+
+    }).then(function() {
+      userLocalId = user.get('id');
+      job = syncer.jobsFor('user', userLocalId)[0];
+
+      var jobKey = 'EmberFryctoriaNamespace/' + NAMESPACE + '/EmberFryctoriaJobs/' + job.id;
+      return syncer.get('db.db').getItem(jobKey);
+
+    }).then(function(savedJob) {
+      expect(savedJob.fryctoriaEncrypted).to.be.true;
+      expect(JSON.stringify(savedJob)).not.to.contain(name);
+
+      syncer.lock();
+      expect(syncer.get('isLocked')).to.be.true;
+      expect(syncer.get('jobs')).to.be.empty;
+
+      return syncer.unlock('wrong passphrase').then(function() {
+        throw new Error('Wrong passphrase should be rejected');
+      }, function(error) {
+        expect(error.name).to.equal('LockedError');
+      });
+
+    }).then(function() {
+      return syncer.unlock('passphrase');
+
+    }).then(function() {
+      expect(syncer.jobsFor('user', userLocalId).mapBy('id')).to.deep.equal([job.id]);
+
+      // #online
+      setOnlineStatus(true);
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs')).to.be.empty;
+      expect(user.get('id')).not.to.equal(userLocalId);
+
+      // cleanup
+      return user.destroyRecord();
+
+    }).then(function() {
+      return syncer.reset();
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
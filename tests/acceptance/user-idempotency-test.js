@@ -0,0 +1,193 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: User Idempotency', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('does not create a record twice when its response was lost', function(done) {
+    var name = 'user-idempotency-1';
+    var user, job, firstId;
+
+    Ember.run(function() {
+      // #offline
+      setOnlineStatus(false);
+      user = store.createRecord('user', {name: name});
+    });
+
+    user.save().then(function() {
+      job = syncer.jobsFor('user', user.get('id'))[0];
+      expect(job.idempotencyKey).to.exist;
+
+      // #online
+      setOnlineStatus(true);
+
+      // the create reached the server but its response was lost
+      var headers = {};
+      headers[syncer.get('idempotencyHeader')] = job.idempotencyKey;
+
+      return RSVP.resolve(Ember.$.ajax({
+        url:         '/users',
+        type:        'POST',
+        contentType: 'application/json',
+        headers:     headers,
+        data:        JSON.stringify({ user: { name: name } })
+      }));
+
+    }).then(function(payload) {
+      firstId = String(payload.users.id);
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(user.get('id')).to.equal(firstId, 'Server should answer the replayed create with the first record');
+      return RSVP.resolve(Ember.$.getJSON('/users'));
+
+    }).then(function(payload) {
+      var users = payload.users.filter(function(user) {
+        return user.name === name;
+      });
+      expect(users.length).to.equal(1);
+
+      // cleanup
+      return user.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+
+  it('sends a job again with a new key once the server answered it', function(done) {
+    var name = 'user-idempotency-2';
+    var keys = [];
+    var userPromise, jobId, firstKey;
+
+    syncer.set('retryDelay', 0);
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      userPromise = store.createRecord('user', {name: name}).save();
+    });
+
+    userPromise.then(function(user) {
+      var job = syncer.jobsFor('user', user.get('id'))[0];
+      jobId    = job.id;
+      firstKey = job.idempotencyKey;
+
+      // #online, but the server rejects the job
+      setOnlineStatus(true);
+      mockId = mockUsers(keys, 422);
+
+      return syncer.syncUp().catch(function(error) {
+        expect(error.status).to.equal(422);
+      });
+
+    }).then(function() {
+      var job = syncer.get('jobs').findBy('id', jobId);
+      expect(keys).to.deep.equal([firstKey]);
+      expect(job.idempotencyKey).to.exist;
+      expect(job.idempotencyKey).not.to.equal(firstKey, 'Job should get a new key');
+
+      Ember.$.mockjax.clear(mockId);
+      mockId = mockUsers(keys, 201);
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(keys).to.have.length(2);
+      expect(keys[1]).not.to.equal(firstKey);
+      expect(syncer.get('jobs').findBy('id', jobId)).not.to.exist;
+
+      // cleanup
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.deleteRecord(localStore, store.modelFor('user'), {id: 'idempotency-2'});
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('marks a job sent only when it failed while online', function(done) {
+    var name = 'user-idempotency-3';
+    var user, job;
+
+    // #offline
+    setOnlineStatus(false);
+
+    Ember.run(function() {
+      user = store.createRecord('user', {name: name});
+    });
+
+    user.save().then(function() {
+      job = syncer.jobsFor('user', user.get('id'))[0];
+      return syncer.syncUp().catch(function() {});
+
+    }).then(function() {
+      expect(syncer.get('jobs').findBy('id', job.id).isSent).not.to.be.ok;
+
+      // the connection drops while the job is sent
+      syncer.set('isOnline', true);
+      return syncer.syncUp().catch(function() {});
+
+    }).then(function() {
+      expect(syncer.get('jobs').findBy('id', job.id).isSent).to.be.true;
+
+      // #online
+      setOnlineStatus(true);
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs')).to.be.empty;
+
+      // cleanup
+      return user.destroyRecord();
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
+
+function mockUsers(keys, status) {
+  return Ember.$.mockjax({
+    url:          '/users',
+    type:         'POST',
+    status:       status,
+    responseTime: 0,
+    response: function(settings) {
+      var requestBody = JSON.parse(settings.data);
+      keys.push(settings.headers[syncer.get('idempotencyHeader')]);
+      this.responseText = { user: Ember.merge({ id: 'idempotency-2' }, requestBody.user) };
+    }
+  });
+}
@@ -0,0 +1,73 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store;
+
+describe('Acceptance: User Local Cache', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('flags records read in localforage', function(done) {
+    var name = 'user-local-cache-1';
+    var fallbacks = [];
+    var user;
+
+    store.on('localFallback', function(typeName, methodName) {
+      fallbacks.push(typeName + '#' + methodName);
+    });
+
+    Ember.run(function() {
+      user = store.createRecord('user', {name: name});
+    });
+
+    user.save().then(function() {
+      expect(user.get('isFromLocalCache')).to.be.false;
+      expect(fallbacks).to.be.empty;
+
+      // #offline
+      setOnlineStatus(false);
+      return store.fetchAll('user');
+
+    }).then(function(users) {
+      expect(users.findBy('name', name).get('isFromLocalCache')).to.be.true;
+      expect(users.get('isFromLocalCache')).to.be.true;
+      expect(fallbacks).to.deep.equal(['user#findAll']);
+
+      // #online
+      setOnlineStatus(true);
+      return store.fetchAll('user');
+
+    }).then(function(users) {
+      expect(users.get('isFromLocalCache')).to.be.false;
+
+      return store.fetchById('user', user.get('id'));
+
+    }).then(function(userFetched) {
+      expect(userFetched.get('isFromLocalCache')).to.be.false;
+
+      return userFetched.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
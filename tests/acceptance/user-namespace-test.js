@@ -0,0 +1,194 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: User Namespace', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('keeps the local data of each namespace apart', function(done) {
+    var name = 'user-namespace-1';
+    var userPromise, userLocalId;
+
+    Ember.run(function() {
+      userPromise = syncer.switchNamespace('namespace-user-1').then(function() {
+        // #offline
+        setOnlineStatus(false);
+        return store.createRecord('user', {name: name}).save();
+      });
+    });
+
+    userPromise.then(function(user) {
+      userLocalId = user.get('id');
+      expect(syncer.jobsFor('user', userLocalId)).to.have.length(1);
+
+      return syncer.switchNamespace('namespace-user-2');
+
+    }).then(function() {
+      expect(syncer.get('namespace')).to.equal('namespace-user-2');
+      expect(syncer.get('jobs')).to.be.empty;
+      expect(store.hasRecordForId('user', userLocalId)).to.be.false;
+      expect(store.all('user').mapBy('name')).not.to.contain(name, 'Records of the previous namespace should be unloaded');
+
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.findAll(localStore, store.modelFor('user'));
+
+    }).then(function(payload) {
+      expect(payload.mapBy('name')).not.to.contain(name, 'Records of another namespace should not be read');
+      return syncer.switchNamespace('namespace-user-1');
+
+    }).then(function() {
+      expect(syncer.jobsFor('user', userLocalId)).to.have.length(1);
+
+      // #online
+      setOnlineStatus(true);
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.get('jobs')).to.be.empty;
+      return store.find('user');
+
+    }).then(function(users) {
+      var userCreated = users.findBy('name', name);
+      expect(userCreated).to.exist('Record should be created in its namespace');
+      return userCreated.destroyRecord();
+
+    }).then(function() {
+      // cleanup
+      return syncer.reset();
+
+    }).then(function() {
+      return syncer.switchNamespace(null);
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('does not run jobs of another namespace', function(done) {
+    var userPromise, userLocalId;
+
+    Ember.run(function() {
+      userPromise = syncer.switchNamespace('namespace-user-3').then(function() {
+        // #offline
+        setOnlineStatus(false);
+        return store.createRecord('user', {name: 'user-namespace-2'}).save();
+      });
+    });
+
+    userPromise.then(function(user) {
+      userLocalId = user.get('id');
+
+      var job = syncer.jobsFor('user', userLocalId)[0];
+      job.namespace = 'namespace-user-4';
+
+      return syncer.save('job', job);
+
+    }).then(function() {
+      // #online
+      setOnlineStatus(true);
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(syncer.jobsFor('user', userLocalId)).to.have.length(1, 'Job should not be run');
+
+      // cleanup
+      return syncer.reset();
+
+    }).then(function() {
+      return syncer.switchNamespace(null);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('saves a record in its namespace when switching without waiting', function(done) {
+    var name = 'user-namespace-3';
+    var userPromise, userLocalId;
+
+    Ember.run(function() {
+      userPromise = syncer.switchNamespace('namespace-user-5').then(function() {
+        // #offline
+        setOnlineStatus(false);
+        var saving = store.createRecord('user', {name: name}).save().then(function(user) {
+          userLocalId = user.get('id');
+        });
+
+        return RSVP.all([saving, syncer.switchNamespace('namespace-user-6')]);
+      });
+    });
+
+    userPromise.then(function() {
+
+      expect(syncer.get('namespace')).to.equal('namespace-user-6');
+      expect(syncer.get('jobs')).to.be.empty;
+
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return RSVP.all([
+        localAdapter.findAll(localStore, store.modelFor('user')),
+        syncer.get('db').keys()
+      ]);
+
+    }).then(function(results) {
+      expect(results[0].mapBy('name')).not.to.contain(name, 'Record should not be saved in the next namespace');
+      expect(results[1].filter(function(key) {
+        return key.indexOf(userLocalId) !== -1;
+      })).to.be.empty;
+
+      return syncer.switchNamespace('namespace-user-5');
+
+    }).then(function() {
+      expect(syncer.jobsFor('user', userLocalId)).to.have.length(1);
+
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.find(localStore, store.modelFor('user'), userLocalId);
+
+    }).then(function(payload) {
+      expect(payload.name).to.equal(name, 'Record should be saved in its namespace');
+
+      // cleanup
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.deleteRecord(localStore, store.modelFor('user'), {id: userLocalId});
+
+    }).then(function() {
+      return syncer.reset();
+
+    }).then(function() {
+      return syncer.switchNamespace(null);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
@@ -0,0 +1,78 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer, mockId;
+
+describe('Acceptance: User Patch Update', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    Ember.$.mockjax.clear(mockId);
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('sends only the attributes changed offline', function(done) {
+    var nameUpdated = 'user-patch-2';
+    var user, requestBody;
+
+    store.adapterFor('user').set('supportsPatch', true);
+
+    Ember.run(function() {
+      user = store.createRecord('user', {name: 'user-patch-1', age: 30});
+    });
+
+    user.save().then(function() {
+      // #offline
+      setOnlineStatus(false);
+      return user.set('name', 'user-patch-tmp').save();
+
+    }).then(function() {
+      return user.set('name', nameUpdated).save();
+
+    }).then(function() {
+      // #online
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/users/' + user.get('id'),
+        type:         'PATCH',
+        responseTime: 0,
+        response: function(settings) {
+          requestBody = JSON.parse(settings.data);
+          this.responseText = {
+            user: { id: user.get('id'), name: requestBody.user.name, age: 30 }
+          };
+        }
+      });
+
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(requestBody).to.deep.equal({ user: { name: nameUpdated } });
+      expect(syncer.get('jobs')).to.be.empty;
+
+      // cleanup
+      Ember.$.mockjax.clear(mockId);
+      return user.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
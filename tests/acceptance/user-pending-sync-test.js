@@ -0,0 +1,69 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+
+describe('Acceptance: User Pending Sync', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('tells which records are not synced yet', function(done) {
+    var user;
+
+    Ember.run(function() {
+      // #offline
+      setOnlineStatus(false);
+      user = store.createRecord('user', {name: 'user-pending-sync-1'});
+    });
+
+    expect(user.get('hasPendingChanges')).to.be.false;
+    expect(user.get('pendingOperation')).to.be.null;
+
+    user.save().then(function() {
+      expect(user.get('hasPendingChanges')).to.be.true;
+      expect(user.get('isPendingSync')).to.be.true;
+      expect(user.get('pendingOperation')).to.equal('createRecord');
+      expect(user.get('pendingJobs').length).to.equal(1);
+
+      return user.set('name', 'user-pending-sync-2').save();
+
+    }).then(function() {
+      expect(user.get('pendingOperation')).to.equal('createRecord');
+      expect(user.get('pendingJobs').mapBy('operation')).to.deep.equal(['createRecord', 'updateRecord']);
+
+      // #online
+      setOnlineStatus(true);
+      return syncer.syncUp();
+
+    }).then(function() {
+      expect(user.get('hasPendingChanges')).to.be.false;
+      expect(user.get('pendingJobs')).to.be.empty;
+
+      // cleanup
+      return user.destroyRecord();
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    });
+  });
+});
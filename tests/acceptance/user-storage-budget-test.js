@@ -0,0 +1,244 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach,
+  afterEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import startApp from '../helpers/start-app';
+
+var App, store, syncer;
+var RSVP = Ember.RSVP;
+
+describe('Acceptance: User Storage Budget', function() {
+  beforeEach(function() {
+    App = startApp();
+    store = App.__container__.lookup('store:main');
+    syncer = store.get('syncer');
+  });
+
+  afterEach(function() {
+    setOnlineStatus(true);
+    Ember.run(App, 'destroy');
+  });
+
+  it('evicts the least recently used records over the budget', function(done) {
+    var users = [];
+    var usersPromise;
+
+    // INFO: a namespace of its own, so that only the records of this test are
+    // cached
+    Ember.run(function() {
+      usersPromise = syncer.switchNamespace('storage-budget-1').then(function() {
+        return ['budget-1', 'budget-2', 'budget-3'].reduce(function(acc, name) {
+          return acc.then(function() {
+            return store.createRecord('user', {name: name}).save();
+          }).then(function(user) {
+            users.push(user);
+          });
+        }, RSVP.resolve());
+      });
+    });
+
+    usersPromise.then(function() {
+      // #offline
+      setOnlineStatus(false);
+      return users[0].set('name', 'budget-1-changed').save();
+
+    }).then(function() {
+      var cacheMeta = syncer.get('collections').cacheMeta;
+
+      // INFO: users[0] is the least recently used but has a pending job
+      return RSVP.all(users.map(function(user, index) {
+        return cacheMeta.put({
+          typeName:   'user',
+          id:         user.get('id'),
+          cachedAt:   index + 1,
+          accessedAt: index + 1
+        });
+      }));
+
+    }).then(function() {
+      // INFO: the cacheMetas saved above are read again, like in a new session
+      syncer.set('cacheMetas', null);
+
+      syncer.set('maxCachedRecords', 2);
+      return syncer.enforceBudget();
+
+    }).then(function() {
+      return syncer.get('collections').cacheMeta.getAll();
+
+    }).then(function(metas) {
+      expect(metas.mapBy('id').sort()).to.deep.equal([
+        users[0].get('id'), users[2].get('id')
+      ].sort());
+
+      var localStore   = syncer.get('localStore');
+      var localAdapter = syncer.get('localAdapter');
+      return localAdapter.find(localStore, store.modelFor('user'), users[1].get('id')).then(function() {
+        return true;
+      }, function() {
+        return false;
+      });
+
+    }).then(function(isFound) {
+      expect(isFound).to.be.false;
+
+      // #online
+      setOnlineStatus(true);
+      syncer.set('maxCachedRecords', null);
+      return syncer.syncUp();
+
+    }).then(function() {
+      // cleanup
+      return RSVP.all(users.map(function(user) {
+        return user.destroyRecord();
+      }));
+
+    }).then(function() {
+      return syncer.reset();
+
+    }).then(function() {
+      return syncer.switchNamespace(null);
+
+    }).then(function() {
+      // NOTE: wait until saveLocal is finished,
+      // otherwise we would get strange error when destroying the app.
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('rejects the offline save when its job can not be saved', function(done) {
+    var db = syncer.get('db');
+    var setItem = db.setItem;
+    var userPromise, storageFullError;
+
+    syncer.on('storageFull', function(error) {
+      storageFullError = error;
+    });
+
+    Ember.run(function() {
+      userPromise = syncer.switchNamespace('storage-budget-2').then(function() {
+        db.setItem = function(name) {
+          if(name.indexOf('EmberFryctoriaJobs') !== 0) {
+            return setItem.apply(this, arguments);
+          }
+
+          var error = new Error('The quota has been exceeded.');
+          error.name = 'QuotaExceededError';
+          return RSVP.reject(error);
+        };
+
+        // #offline
+        setOnlineStatus(false);
+        return store.createRecord('user', {name: 'budget-4'}).save();
+      });
+    });
+
+    userPromise.then(function() {
+      throw new Error('Save should be rejected');
+
+    }, function(error) {
+      db.setItem = setItem;
+
+      expect(error.name).to.equal('StorageFullError');
+      expect(storageFullError).to.equal(error);
+      expect(storageFullError.typeName).to.equal('job');
+      expect(syncer.get('jobs')).to.be.empty;
+
+      // cleanup
+      return syncer.switchNamespace(null);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('does not evict the records of dead jobs', function(done) {
+    var users = [];
+    var usersPromise, mockId;
+
+    syncer.setProperties({ maxAttempts: 1 });
+
+    Ember.run(function() {
+      usersPromise = syncer.switchNamespace('storage-budget-3').then(function() {
+        return ['budget-5', 'budget-6'].reduce(function(acc, name) {
+          return acc.then(function() {
+            return store.createRecord('user', {name: name}).save();
+          }).then(function(user) {
+            users.push(user);
+          });
+        }, RSVP.resolve());
+      });
+    });
+
+    usersPromise.then(function() {
+      // #offline
+      setOnlineStatus(false);
+      return users[0].set('name', 'budget-5-changed').save();
+
+    }).then(function() {
+      // #online, but the server rejects the update
+      setOnlineStatus(true);
+      mockId = Ember.$.mockjax({
+        url:          '/users/' + users[0].get('id'),
+        type:         'PUT',
+        status:       422,
+        responseTime: 0,
+      });
+
+      return syncer.syncUp().catch(function() {});
+
+    }).then(function() {
+      expect(syncer.get('jobs')).to.be.empty;
+      expect(syncer.get('deadJobs').length).to.equal(1);
+
+      var cacheMeta = syncer.get('collections').cacheMeta;
+
+      // INFO: users[0] is the least recently used but has a dead job
+      return RSVP.all(users.map(function(user, index) {
+        return cacheMeta.put({
+          typeName:   'user',
+          id:         user.get('id'),
+          cachedAt:   index + 1,
+          accessedAt: index + 1
+        });
+      }));
+
+    }).then(function() {
+      syncer.set('cacheMetas', null);
+      syncer.set('maxCachedRecords', 1);
+      return syncer.enforceBudget();
+
+    }).then(function() {
+      return syncer.get('collections').cacheMeta.getAll();
+
+    }).then(function(metas) {
+      expect(metas.mapBy('id')).to.deep.equal([users[0].get('id')]);
+
+      // cleanup
+      Ember.$.mockjax.clear(mockId);
+      syncer.set('maxCachedRecords', null);
+      return RSVP.all(users.map(function(user) {
+        return user.destroyRecord();
+      }));
+
+    }).then(function() {
+      return syncer.reset();
+
+    }).then(function() {
+      return syncer.switchNamespace(null);
+
+    }).then(function() {
+      andLater(function() {
+        done();
+      });
+    }).catch(done);
+  });
+});
@@ -0,0 +1,6 @@
+import DS from 'ember-data';
+
+export default DS.RESTAdapter.extend({
+  supportsBatch: true,
+  batchURL:      '/batch'
+});
@@ -21,6 +21,21 @@ export function initialize(container, application) {
   //   }
   // });
 
+  /*
+   * Retry failed jobs with an exponential backoff, move them to
+   * syncer.deadJobs after maxAttempts failures.
+   *
+   * Default:
+   * ```
+   * maxAttempts:   5,
+   * retryDelay:    1000,
+   * maxRetryDelay: 5 * 60 * 1000,
+   * ```
+   */
+  // syncer.reopen({
+  //   maxAttempts: 10
+  // });
+
   /*
    * Decide what is offline.
    *
@@ -0,0 +1,9 @@
+import DS from 'ember-data';
+
+var Invoice = DS.Model.extend({
+  number:    DS.attr('string'),
+  total:     DS.attr('money'),
+  lineItems: DS.hasMany('line-item')
+});
+
+export default Invoice;
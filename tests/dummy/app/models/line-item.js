@@ -0,0 +1,9 @@
+import DS from 'ember-data';
+
+var LineItem = DS.Model.extend({
+  description: DS.attr('string'),
+  amount:      DS.attr('number'),
+  invoice:     DS.belongsTo('invoice')
+});
+
+export default LineItem;
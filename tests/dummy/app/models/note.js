@@ -0,0 +1,14 @@
+import DS from 'ember-data';
+
+var Note = DS.Model.extend({
+  title:   DS.attr('string'),
+  body:    DS.attr('string'),
+  version: DS.attr('number')
+});
+
+Note.reopenClass({
+  versionAttribute: 'version',
+  conflictStrategy: 'merge'
+});
+
+export default Note;
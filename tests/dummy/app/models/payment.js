@@ -0,0 +1,20 @@
+import DS from 'ember-data';
+
+var Payment = DS.Model.extend({
+  reference: DS.attr('string'),
+  amount:    DS.attr('number')
+});
+
+// payments can be read offline for an hour, but not changed, they are stale
+// after ten minutes
+Payment.reopenClass({
+  offline: {
+    create: false,
+    update: false,
+    delete: false,
+    ttl:    60 * 60 * 1000,
+    maxAge: 10 * 60 * 1000
+  }
+});
+
+export default Payment;
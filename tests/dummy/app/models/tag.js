@@ -0,0 +1,11 @@
+import DS from 'ember-data';
+
+var Tag = DS.Model.extend({
+  label: DS.attr('string')
+});
+
+Tag.reopenClass({
+  clientId: true
+});
+
+export default Tag;
@@ -0,0 +1,7 @@
+import DS from 'ember-data';
+
+export default DS.RESTSerializer.extend(DS.EmbeddedRecordsMixin, {
+  attrs: {
+    lineItems: { embedded: 'always' }
+  }
+});
@@ -0,0 +1,12 @@
+import DS from 'ember-data';
+
+// amounts are sent to the server in cents
+export default DS.Transform.extend({
+  deserialize: function(serialized) {
+    return typeof serialized === 'number' ? serialized / 100 : null;
+  },
+
+  serialize: function(deserialized) {
+    return typeof deserialized === 'number' ? Math.round(deserialized * 100) : null;
+  }
+});
@@ -0,0 +1,35 @@
+import Ember from 'ember';
+
+var RSVP = Ember.RSVP;
+
+/**
+ * An in-memory db with the methods of localforage used by the addon, the
+ * values are kept in `items`. It has no namespaces, currentNamespace returns
+ * the db itself.
+ */
+export default function memoryDB() {
+  var items = {};
+
+  return {
+    items: items,
+
+    currentNamespace: function() {
+      return this;
+    },
+
+    getItem: function(name) {
+      return RSVP.resolve(items.hasOwnProperty(name) ? items[name] : null);
+    },
+    setItem: function(name, value) {
+      items[name] = value;
+      return RSVP.resolve(value);
+    },
+    removeItem: function(name) {
+      delete items[name];
+      return RSVP.resolve();
+    },
+    keys: function() {
+      return RSVP.resolve(Object.keys(items));
+    }
+  };
+}
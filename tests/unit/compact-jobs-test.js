@@ -0,0 +1,52 @@
+/* jshint expr:true */
+import {
+  describe,
+  it
+} from 'mocha';
+import { expect } from 'chai';
+import compactJobs from 'ember-fryctoria/utils/compact-jobs';
+
+function updateJob(seq, name, changedKeys) {
+  return {
+    id:          'job-' + seq,
+    seq:         seq,
+    typeName:    'user',
+    operation:   'updateRecord',
+    record:      { id: '1', name: name },
+    changedKeys: changedKeys
+  };
+}
+
+describe('Unit: compactJobs', function() {
+  it('merges the changed keys of updates', function() {
+    var jobs = compactJobs([
+      updateJob(1, 'compact-1', ['name']),
+      updateJob(2, 'compact-2', ['age', 'name'])
+    ]);
+
+    expect(jobs).to.have.length(1);
+    expect(jobs[0].record.name).to.equal('compact-2');
+    expect(jobs[0].changedKeys).to.deep.equal(['name', 'age']);
+  });
+
+  it('sends the merged update in full when a job has no changed keys', function() {
+    var jobs = compactJobs([
+      updateJob(1, 'compact-1'),
+      updateJob(2, 'compact-2', ['name'])
+    ]);
+
+    expect(jobs).to.have.length(1);
+    expect(jobs[0].changedKeys).not.to.exist;
+  });
+
+  it('orders the jobs given the same seq by two tabs', function() {
+    var jobs = compactJobs([
+      { id: 'job-b', seq: 1, createdAt: 10, tabId: 'tab-b', typeName: 'user',
+        operation: 'createRecord', record: { id: '2' } },
+      { id: 'job-a', seq: 1, createdAt: 10, tabId: 'tab-a', typeName: 'user',
+        operation: 'createRecord', record: { id: '1' } }
+    ]);
+
+    expect(jobs.mapBy('id')).to.deep.equal(['job-a', 'job-b']);
+  });
+});
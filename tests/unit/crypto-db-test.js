@@ -0,0 +1,197 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import CryptoDB from 'ember-fryctoria/crypto-db';
+import memoryDB from '../helpers/memory-db';
+
+var db, items, cryptoDB;
+
+// NOTE: PhantomJS does not support WebCrypto
+var itWithCrypto = window.crypto && window.crypto.subtle ? it : it.skip;
+
+describe('Unit: CryptoDB', function() {
+  beforeEach(function() {
+    db       = memoryDB();
+    items    = db.items;
+    cryptoDB = CryptoDB.create({db: db, isEncrypted: true, iterations: 1000});
+  });
+
+  it('rejects reads and writes while locked', function(done) {
+    expect(cryptoDB.get('isLocked')).to.be.true;
+
+    cryptoDB.setItem('users', {name: 'locked'}).then(function() {
+      throw new Error('Write should be rejected');
+    }, function(error) {
+      expect(error.name).to.equal('LockedError');
+      expect(items.users).not.to.exist;
+      done();
+    }).catch(done);
+  });
+
+  it('reads values saved before encryption while locked', function(done) {
+    items.users = {name: 'crypto-db-plain'};
+
+    cryptoDB.getItem('users').then(function(value) {
+      expect(value).to.deep.equal({name: 'crypto-db-plain'});
+      done();
+    }).catch(done);
+  });
+
+  it('rejects rotating the key while locked', function(done) {
+    cryptoDB.rotateKey('new passphrase').then(function() {
+      throw new Error('Rotation should be rejected');
+    }, function(error) {
+      expect(error.name).to.equal('LockedError');
+      expect(Object.keys(items)).to.be.empty;
+      done();
+    }).catch(done);
+  });
+
+  itWithCrypto('encrypts values and reads them after unlocking', function(done) {
+    var value = {name: 'crypto-db-user-1'};
+
+    cryptoDB.unlock('passphrase').then(function() {
+      expect(cryptoDB.get('isLocked')).to.be.false;
+      return cryptoDB.setItem('users', value);
+
+    }).then(function() {
+      expect(items.users.fryctoriaEncrypted).to.be.true;
+      expect(JSON.stringify(items.users)).not.to.contain('crypto-db-user-1');
+
+      cryptoDB.lock();
+      return cryptoDB.getItem('users').then(function() {
+        throw new Error('Read should be rejected');
+      }, function(error) {
+        expect(error.name).to.equal('LockedError');
+      });
+
+    }).then(function() {
+      return cryptoDB.unlock('wrong passphrase').then(function() {
+        throw new Error('Wrong passphrase should be rejected');
+      }, function(error) {
+        expect(error.name).to.equal('LockedError');
+        expect(cryptoDB.get('isLocked')).to.be.true;
+      });
+
+    }).then(function() {
+      return cryptoDB.unlock('passphrase');
+
+    }).then(function() {
+      return cryptoDB.getItem('users');
+
+    }).then(function(decrypted) {
+      expect(decrypted).to.deep.equal(value);
+      done();
+    }).catch(done);
+  });
+
+  itWithCrypto('encrypts the values again when rotating the key', function(done) {
+    var value = {name: 'crypto-db-user-2'};
+    var encrypted;
+
+    cryptoDB.unlock('old passphrase').then(function() {
+      return cryptoDB.setItem('users', value);
+
+    }).then(function() {
+      encrypted = items.users;
+      return cryptoDB.rotateKey('new passphrase');
+
+    }).then(function() {
+      expect(items.users.data).not.to.equal(encrypted.data);
+
+      cryptoDB.lock();
+      return cryptoDB.unlock('old passphrase').then(function() {
+        throw new Error('Old passphrase should be rejected');
+      }, function(error) {
+        expect(error.name).to.equal('LockedError');
+      });
+
+    }).then(function() {
+      return cryptoDB.unlock('new passphrase');
+
+    }).then(function() {
+      return cryptoDB.getItem('users');
+
+    }).then(function(decrypted) {
+      expect(decrypted).to.deep.equal(value);
+      done();
+    }).catch(done);
+  });
+
+  itWithCrypto('keeps the salt and the values when a value can not be encrypted again', function(done) {
+    var value = {name: 'crypto-db-user-3'};
+    var saved;
+
+    cryptoDB.unlock('old passphrase').then(function() {
+      return cryptoDB.setItem('users', value);
+
+    }).then(function() {
+      // a value encrypted with another key
+      items.broken = {fryctoriaEncrypted: true, iv: items.users.iv, data: 'AAAA'};
+      saved = JSON.stringify(items);
+
+      return cryptoDB.rotateKey('new passphrase').then(function() {
+        throw new Error('Rotation should be rejected');
+      }, function() {
+        expect(JSON.stringify(items)).to.equal(saved, 'Nothing should be written');
+      });
+
+    }).then(function() {
+      cryptoDB.lock();
+      return cryptoDB.unlock('old passphrase');
+
+    }).then(function() {
+      return cryptoDB.getItem('users');
+
+    }).then(function(decrypted) {
+      expect(decrypted).to.deep.equal(value);
+      done();
+    }).catch(done);
+  });
+
+  itWithCrypto('encrypts the values saved before encryption when unlocking', function(done) {
+    items.users = {name: 'crypto-db-user-4'};
+
+    cryptoDB.unlock('passphrase').then(function() {
+      expect(items.users.fryctoriaEncrypted).to.be.true;
+      expect(JSON.stringify(items)).not.to.contain('crypto-db-user-4');
+
+      // a plain value saved while unlocked is encrypted when rotating
+      items.teams = {name: 'crypto-db-team-4'};
+      return cryptoDB.rotateKey('new passphrase');
+
+    }).then(function() {
+      expect(items.teams.fryctoriaEncrypted).to.be.true;
+      return cryptoDB.getItem('users');
+
+    }).then(function(decrypted) {
+      expect(decrypted).to.deep.equal({name: 'crypto-db-user-4'});
+      return cryptoDB.getItem('teams');
+
+    }).then(function(decrypted) {
+      expect(decrypted).to.deep.equal({name: 'crypto-db-team-4'});
+      done();
+    }).catch(done);
+  });
+
+  itWithCrypto('does not write a value again when it is removed while rotating the key', function(done) {
+    cryptoDB.unlock('old passphrase').then(function() {
+      return cryptoDB.setItem('users', {name: 'crypto-db-user-5'});
+
+    }).then(function() {
+      var rotation = cryptoDB.rotateKey('new passphrase');
+      var removal  = cryptoDB.removeItem('users');
+
+      return Ember.RSVP.all([rotation, removal]);
+
+    }).then(function() {
+      expect(items.users).not.to.exist;
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,94 @@
+/* jshint expr:true */
+import {
+  describe,
+  it,
+  beforeEach
+} from 'mocha';
+import { expect } from 'chai';
+import Ember from 'ember';
+import KeyedStore from 'ember-fryctoria/keyed-store';
+import CryptoDB from 'ember-fryctoria/crypto-db';
+import memoryDB from '../helpers/memory-db';
+
+var RSVP = Ember.RSVP;
+var db, tab1, tab2;
+
+describe('Unit: KeyedStore', function() {
+  beforeEach(function() {
+    db   = memoryDB();
+    tab1 = KeyedStore.create({db: db, namespace: 'EmberFryctoriaJobs'});
+    tab2 = KeyedStore.create({db: db, namespace: 'EmberFryctoriaJobs'});
+  });
+
+  it('keeps the records put by two tabs at the same time', function(done) {
+    RSVP.all([
+      tab1.put({id: 'job-1'}),
+      tab2.put({id: 'job-2'})
+    ]).then(function() {
+      return tab1.getAll();
+
+    }).then(function(records) {
+      expect(records.mapBy('id').sort()).to.deep.equal(['job-1', 'job-2']);
+      done();
+    }).catch(done);
+  });
+
+  it('does not remove records added by another tab when replacing', function(done) {
+    tab1.put({id: 'job-1'}).then(function() {
+      return tab1.getAll();
+
+    }).then(function() {
+      return tab2.put({id: 'job-2'});
+
+    }).then(function() {
+      return tab1.replaceAll([{id: 'job-1', compacted: true}]);
+
+    }).then(function() {
+      return tab2.getAll();
+
+    }).then(function(records) {
+      expect(records.mapBy('id').sort()).to.deep.equal(['job-1', 'job-2']);
+      expect(records.findBy('id', 'job-1').compacted).to.be.true;
+      return tab1.clear();
+
+    }).then(function() {
+      return tab2.getAll();
+
+    }).then(function(records) {
+      expect(records).to.be.empty;
+      done();
+    }).catch(done);
+  });
+
+  it('migrates an array of records saved at the namespace', function(done) {
+    db.setItem('EmberFryctoriaJobs', [{id: 'job-1'}, {id: 'job-2'}]).then(function() {
+      return tab1.getAll();
+
+    }).then(function(records) {
+      expect(records.mapBy('id').sort()).to.deep.equal(['job-1', 'job-2']);
+      expect(db.items.EmberFryctoriaJobs).not.to.exist;
+      done();
+    }).catch(done);
+  });
+
+  it('keeps a record put before switching the namespace in its namespace', function(done) {
+    var cryptoDB = CryptoDB.create({db: db, namespace: 'user-1'});
+    var jobs     = KeyedStore.create({db: cryptoDB, namespace: 'EmberFryctoriaJobs'});
+
+    // the put waits in the queue
+    jobs.getAll();
+    var putting = jobs.put({id: 'job-1'});
+    cryptoDB.switchNamespace('user-2');
+
+    putting.then(function() {
+      expect(Object.keys(db.items)).to.deep.equal([
+        'EmberFryctoriaNamespace/user-1/EmberFryctoriaJobs/job-1'
+      ]);
+      return jobs.getAll();
+
+    }).then(function(records) {
+      expect(records).to.be.empty;
+      done();
+    }).catch(done);
+  });
+});